@@ -1,15 +1,17 @@
 // ==UserScript==
 // @name         Highlight Unlinked Existing Terms (Improved)
 // @description  Highlights proper unlinked terms that already have their own Wikipedia articles.
-// @version      1.2
+// @version      1.6
 // @author       Riddhi Sharma/Herdaisymione
 // @match        *://*.wikipedia.org/wiki/*
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 mw.hook && mw.hook('wikipage.content').add(init);
 (function(){ if (!mw.hook) init(); })();
 
 function init($content) {
+  const WLH = window.WikiLinkHighlighter;
   const contentElem = $content && $content[0] ? $content[0] : document.getElementById('mw-content-text');
   if (!contentElem) return;
 
@@ -38,43 +40,19 @@ function init($content) {
 
   const pageTitle = mw.config.get('wgTitle').replace(/_/g, ' ').toLowerCase();
 
-  // collect visible text nodes
-  function collectTextNodes(root, nodes = []) {
-    for (const node of root.childNodes) {
-      if (node.nodeType === Node.TEXT_NODE) {
-        if (node.textContent.trim().length > 0) nodes.push(node);
-      } else if (node.nodeType === Node.ELEMENT_NODE) {
-        const tag = node.tagName;
-        if (["A","SUP","SUB","CITE","STYLE","SCRIPT","TABLE","IMG","FIGURE","H1","H2","H3","H4","H5","H6"].includes(tag)) continue;
-        if (node.classList && (
-            node.classList.contains('infobox') ||
-            node.classList.contains('navbox') ||
-            node.classList.contains('reflist') ||
-            node.classList.contains('metadata') ||
-            node.classList.contains('thumb')
-        )) continue;
-        collectTextNodes(node, nodes);
-      }
-    }
-    return nodes;
-  }
-
-  const textNodes = collectTextNodes(contentElem);
+  // Detect proper-looking terms (multi-word capitalized or proper nouns, any script)
+  const shouldExclude = (term, context = {}) => {
+    // Whole candidates only, any word may start a phrase
+    if (context.phraseStart) return false;
+    const lower = term.toLowerCase();
+    if (lower.length < 3) return true;
+    return pageTitle.includes(lower); // skip words from article title
+  };
 
-  // Detect proper-looking terms (multi-word capitalized or proper nouns)
-  const termRegex = /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2})\b/g;
-
-  const candidates = new Set();
-  for (const n of textNodes) {
-    let match;
-    while ((match = termRegex.exec(n.textContent)) !== null) {
-      const term = match[1].trim();
-      const lower = term.toLowerCase();
-      if (lower.length < 3) continue;
-      if (pageTitle.includes(lower)) continue; // skip words from article title
-      candidates.add(term);
-    }
-  }
+  // Visible text as one text, so phrases run across <i>, <b> and <span>
+  const skipSelector = 'a, sup, sub, cite, style, script, table, img, figure, h1, h2, h3, h4, h5, h6, .infobox, .navbox, .reflist, .metadata, .thumb';
+  const contentText = WLH.createTextModel(contentElem, { skipSelector }).text;
+  const candidates = new Set(WLH.extractCandidates(contentText, { shouldExclude }));
 
   // Remove already linked words
   const linkedTexts = new Set(Array.from(contentElem.querySelectorAll('a')).map(a => a.textContent.trim()).filter(Boolean));
@@ -108,17 +86,16 @@ function init($content) {
     if (existing.size === 0) return;
 
     // Highlight matches in the visible text
-    textNodes.forEach(node => {
-      const text = node.textContent;
-      let replaced = text;
-      existing.forEach(term => {
-        const regex = new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, "g");
-        replaced = replaced.replace(regex, `<span class="riddhi-unlinked-term" title="This term has an article — consider linking it.">${term}</span>`);
-      });
-      if (replaced !== text) {
+    const matcher = WLH.createMatcher(new Map(Array.from(existing).map(term => [term.toLowerCase(), { title: term }])));
+    WLH.highlightElement(contentElem, matcher, {
+      skipSelector,
+      createMark: match => {
         const span = document.createElement("span");
-        span.innerHTML = replaced;
-        node.replaceWith(span);
+        span.className = "riddhi-unlinked-term";
+        span.setAttribute("data-wlh", "");
+        span.title = "This term has an article — consider linking it.";
+        span.textContent = match.text;
+        return span;
       }
     });
   });
@@ -1,15 +1,17 @@
 // ==UserScript==
 // @name         Highlight Unlinked Existing Terms (Smart Version)
 // @description  Highlights unlinked, meaningful terms in Wikipedia articles that already have their own pages
-// @version      1.3
+// @version      1.7
 // @author       Riddhi / Herdaisymione
 // @match        *://*.wikipedia.org/wiki/*
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 mw.hook && mw.hook("wikipage.content").add(init);
 (function(){ if(!mw.hook) init(); })();
 
 function init($content) {
+  const WLH = window.WikiLinkHighlighter;
   const contentElem = $content && $content[0] ? $content[0] : document.getElementById("mw-content-text");
   if (!contentElem) return;
 
@@ -19,8 +21,6 @@ function init($content) {
   // skip meta.wikimedia etc
   if (!location.hostname.includes("wikipedia.org")) return;
 
-  const API_BATCH = 50;
-
   // === Styles ===
   const style = document.createElement("style");
   style.textContent = `
@@ -39,132 +39,69 @@ function init($content) {
   `;
   document.head.appendChild(style);
 
-  // === Collect text nodes ===
-  function collectTextNodes(root, nodes = []) {
-    for (const node of root.childNodes) {
-      if (node.nodeType === Node.TEXT_NODE) {
-        if (node.textContent.trim().length > 0) nodes.push(node);
-      } else if (node.nodeType === Node.ELEMENT_NODE) {
-        const tag = node.tagName;
-        if (["A","SUP","SUB","CITE","STYLE","SCRIPT","MARK","TABLE","IMG","FIGURE"].includes(tag)) continue;
-        if (node.classList && (
-            node.classList.contains("infobox") ||
-            node.classList.contains("navbox") ||
-            node.classList.contains("reflist") ||
-            node.classList.contains("metadata") ||
-            node.classList.contains("thumb")
-        )) continue;
-        collectTextNodes(node, nodes);
-      }
-    }
-    return nodes;
-  }
+  // Left out of both the candidate text and the highlighting
+  const skipSelector = "a, sup, sub, cite, style, script, mark, table, img, figure, .infobox, .navbox, .reflist, .metadata, .thumb, [data-wlh]";
 
   const clone = contentElem.cloneNode(true);
   clone.querySelectorAll(".infobox, .wikitable, .reflist, .navbox, .metadata, .thumb").forEach(e => e.remove());
-  const candidateNodes = collectTextNodes(clone);
-  const pageTextNodes = collectTextNodes(contentElem);
+  // One text so phrases run across <i>, <b> and <span>
+  const candidateText = WLH.createTextModel(clone, { skipSelector }).text;
+
+  // Acronyms the article defines, "North Atlantic Treaty Organization (NATO)"
+  const acronyms = WLH.findAcronymDefinitions(candidateText);
 
   // === Find candidate terms ===
-  const blacklist = new Set([
-    "The","This","That","These","Those","When","Where","Which","While",
-    "Before","After","Because","During","However","Although","Also","As",
-    "For","From","Was","Were","Are","Is","Be","Have","Had","Has","Into","On",
-    "At","Of","And","Or","In","It","Its","Their","There","Then","Than","Other",
-    "About","Such","With","An","A"
-  ]);
-
-  // Multi-word proper noun pattern: up to 3 capitalized words
-  const termRegex = /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2})\b/g;
-
-  const candidates = new Set();
-  candidateNodes.forEach(n => {
-    const matches = n.textContent.match(termRegex);
-    if (matches) {
-      matches.forEach(m => {
-        const clean = m.trim();
-        if (!clean) return;
-        if (blacklist.has(clean)) return;
-        // ignore if all caps (like TV)
-        if (/^[A-Z]{2,}$/.test(clean)) return;
-        candidates.add(clean);
-      });
-    }
-  });
+  // Stopwords for the wiki's language plus the wiki's and the user's own exclusion lists
+  WLH.loadExclusions().then(exclusions => {
+    // Multi-word proper nouns: up to 3 capitalized words, in any script
+    const shouldExclude = term => {
+      if (exclusions.has(term)) return true;
+      // ignore if all caps (like TV), unless the article spells it out
+      return /^\p{Lu}{2,}$/u.test(term) && !acronyms.has(term);
+    };
+
+    const candidates = new Set();
+    WLH.extractCandidates(candidateText, { shouldExclude }).forEach(term => candidates.add(term));
+
+    if (candidates.size === 0) return;
+
+    // === Filter already linked ===
+    const linked = new Set();
+    contentElem.querySelectorAll("a").forEach(a => {
+      const text = a.textContent.trim();
+      if (text) linked.add(text);
+    });
 
-  if (candidates.size === 0) return;
+    const toCheck = Array.from(candidates).filter(t => !linked.has(t));
+    if (toCheck.length === 0) return;
 
-  // === Filter already linked ===
-  const linked = new Set();
-  contentElem.querySelectorAll("a").forEach(a => {
-    const text = a.textContent.trim();
-    if (text) linked.add(text);
-  });
+    // === Check via API if those titles exist ===
+    // Defined acronyms are checked through their expansion
+    WLH.createTitleResolver().resolve(toCheck, { acronyms }).then(resolved => {
+      const existing = new Map(); // term as written -> article
+      resolved.forEach((record, term) => {
+        if (record.exists && !record.disambiguation) existing.set(term, record);
+      });
 
-  const toCheck = Array.from(candidates).filter(t => !linked.has(t));
-  if (toCheck.length === 0) return;
-
-  // === Check via API if those titles exist ===
-  const api = new mw.Api();
-  const promises = [];
-  for (let i = 0; i < toCheck.length; i += API_BATCH) {
-    const chunk = toCheck.slice(i, i + API_BATCH);
-    promises.push(api.get({
-      action: "query",
-      format: "json",
-      formatversion: 2,
-      redirects: 1,
-      titles: chunk.join("|"),
-      prop: "pageprops",
-      ppprop: "disambiguation"
-    }));
-  }
-
-  Promise.all(promises).then(results => {
-    const existing = new Set();
-    results.forEach(data => {
-      if (!data.query || !data.query.pages) return;
-      data.query.pages.forEach(page => {
-        if (!page.missing && !page.pageprops?.disambiguation) {
-          existing.add(page.title);
+      if (existing.size === 0) return;
+
+      // Word boundaries in any script, so "Łódź" and "Москва" are found too
+      const matcher = WLH.createMatcher(new Map(Array.from(existing, ([term, record]) => [term.toLowerCase(), record])));
+      WLH.highlightElement(contentElem, matcher, {
+        skipSelector,
+        createMark: match => {
+          const term = match.surface || match.text;
+          const mark = document.createElement("mark");
+          mark.className = "riddhi-unlinked-term";
+          mark.setAttribute("data-wlh", "");
+          mark.textContent = match.text;
+          mark.title = match.data.expansion
+            ? `“${term}” stands for “${match.data.expansion}”. Consider linking ${WLH.buildWikilink(match.data.title, term)}.`
+            : `An article exists for “${term}”. Consider linking it.`;
+          return mark;
         }
       });
     });
-
-    if (existing.size === 0) return;
-
-    const escaped = Array.from(existing)
-      .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
-    if (escaped.length === 0) return;
-
-    const regex = new RegExp(`\\b(${escaped.join("|")})\\b`, "g");
-
-    pageTextNodes.forEach(node => {
-      if (node.parentElement.closest("A, SUP, CITE, MARK, .infobox, .navbox")) return;
-      const text = node.textContent;
-      let lastIndex = 0;
-      let match;
-      let changed = false;
-      const frag = document.createDocumentFragment();
-
-      while ((match = regex.exec(text)) !== null) {
-        const term = match[0];
-        if (!existing.has(term)) continue;
-        changed = true;
-        frag.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
-        const mark = document.createElement("mark");
-        mark.className = "riddhi-unlinked-term";
-        mark.textContent = term;
-        mark.title = `An article exists for “${term}”. Consider linking it.`;
-        frag.appendChild(mark);
-        lastIndex = match.index + term.length;
-      }
-
-      if (changed) {
-        frag.appendChild(document.createTextNode(text.slice(lastIndex)));
-        node.replaceWith(frag);
-      }
-    });
   });
 }
 
@@ -1,17 +1,30 @@
 /**
  * User:Herdaisymione/userscripts/highlight-unlinked-terms.js
  * Description: A universal script to find and highlight terms on any Wikipedia page that have existing articles 
+ * Requires highlighter-core.js (list it before this file in the gadget definition).
  */
 
 mw.hook('wikipage.content').add(function($content) {
 
+    const WLH = window.WikiLinkHighlighter;
+    if (!WLH) {
+        console.error("Highlight Unlinked Terms: highlighter-core.js is not loaded.");
+        return;
+    }
+
     // Core Vision & Configuration
-    // The goal is a universal script. This config will eventually be powered by the user's Babel box.
-    // For now, we are testing with English ('en') Wikipedia. We can add 'hi', 'gu', 'ru' etc. later.
-    const config = {
-        languages: ['en'], // TODO: Later, get this from the user's Babel box on their user page.
-        apiBatchSize: 50
-    };
+    // The goal is a universal script: the languages come from the Babel box on the user's user page,
+    // and terms missing on this wiki are looked up in each of those language editions.
+    const config = WLH.createConfig({
+        languages: null, // null = read them from the user's Babel box
+        babelFixture: null, // User page wikitext to read the Babel box from instead (for testing)
+        // 'gaps' = translator mode: compare the Babel languages through Wikidata and mark would-be red links.
+        // Can also be switched on per page with ?wlhmode=gaps
+        mode: new URLSearchParams(location.search).get('wlhmode') || 'local',
+        // MOS:LINKONCE: 'first-in-article' (lead and body separately), 'first-per-section' or 'all'
+        linkPolicy: 'first-in-article',
+        highlightClass: 'unlinked-term'
+    });
 
     // Standard checks: run only on articles in view mode.
     if (mw.config.get("wgNamespaceNumber") !== 0 || mw.config.get("wgAction") !== "view") {
@@ -22,137 +35,179 @@ mw.hook('wikipage.content').add(function($content) {
     // Reverted to a simple red highlight as per the basic plan. No dotted lines.
     const style = document.createElement("style");
     style.textContent = `
-        mark.unlinked-term {
+        .unlinked-term {
             background-color: #ffecec; /* Light red */
             color: #b30000;          /* Dark red text */
             border-radius: 3px;
             padding: 1px 3px;
             cursor: help;
         }
-        mark.unlinked-term:hover {
+        .unlinked-term:hover {
             background-color: #ffd6d6;
         }
+        /* Disambiguation pages: do not link as-is, the tooltip lists the specific articles */
+        .unlinked-term--ambiguous {
+            background-color: #fff4e0; /* Light orange */
+            color: #8a4b00;
+            border-bottom: 1px dashed #e08a00;
+        }
+        .unlinked-term--ambiguous:hover {
+            background-color: #ffe8c2;
+        }
+        /* No article here, but one exists in another language the user reads */
+        .unlinked-term--interlanguage {
+            background-color: #eaf3ff; /* Light blue */
+            color: #0b4f9c;
+        }
+        .unlinked-term--interlanguage:hover {
+            background-color: #d6e8ff;
+        }
+        /* Gap mode: a link here would be red, the article only exists in other languages */
+        .unlinked-term--redlink {
+            background-color: #f3e8ff; /* Light purple */
+            color: #6b21a8;
+        }
+        .unlinked-term--redlink:hover {
+            background-color: #e9d5ff;
+        }
+        /* Later occurrence: shown, but the link belongs at the first one (see tooltip) */
+        .unlinked-term--repeat {
+            background-color: transparent;
+            color: inherit;
+            border-bottom: 1px dotted #b30000;
+        }
+        /* Gap mode: summary box above the article */
+        .unlinked-term-report {
+            border: 1px solid #c8ccd1;
+            background-color: #f8f9fa;
+            border-radius: 3px;
+            padding: 6px 10px;
+            margin-bottom: 1em;
+            font-size: 90%;
+        }
+        .unlinked-term-report table {
+            border-collapse: collapse;
+            margin-top: 6px;
+        }
+        .unlinked-term-report th,
+        .unlinked-term-report td {
+            border: 1px solid #c8ccd1;
+            padding: 2px 6px;
+            text-align: left;
+        }
+        .unlinked-term-report .unlinked-term-report__missing {
+            color: #6b21a8;
+        }
     `;
     document.head.appendChild(style);
 
     // Main Logic 
     // The new strategy is to ONLY search within the main article paragraphs (<p> tags).
     // This naturally ignores infoboxes, tables, headers, and other junk without complex code.
-    const paragraphs = $content[0].querySelectorAll(':scope > p');
-    if (!paragraphs || paragraphs.length === 0) {
+    const paragraphs = Array.from($content[0].querySelectorAll(':scope > p'));
+    if (paragraphs.length === 0) {
         return; // No paragraphs, nothing to do.
     }
 
-    // Helper to get text nodes from an element.
-    function collectTextNodes(element, nodes = []) {
-        for (const node of element.childNodes) {
-            if (node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0) {
-                nodes.push(node);
-            } else if (node.nodeType === Node.ELEMENT_NODE && !["A", "SUP", "SUB", "CITE", "MARK"].includes(node.tagName)) {
-                collectTextNodes(node, nodes);
-            }
-        }
-        return nodes;
+    // 1. Find all potential candidate terms, ONLY from paragraphs.
+    // Paragraph-level text, so phrases split by inline markup ("New <i>York</i> Times") are found
+    const texts = paragraphs.map(p => WLH.createTextModel(p).text);
+    const linked = WLH.collectLinkedTitles($content[0]);
+    const articleTitle = WLH.getArticleTitle();
+
+    // 2. Check this wiki, then the user's other languages for the terms it has no article for.
+    const languages = config.languages
+        ? Promise.resolve(config.languages)
+        : WLH.getUserLanguages({ fixture: config.babelFixture });
+
+    if (config.mode === 'gaps') {
+        languages
+            .then(langs => WLH.findLanguageGaps(texts, { articleTitle, linked, languages: langs }))
+            .then(gaps => {
+                reportGaps(gaps);
+                highlightTerms(gaps);
+            })
+            .catch(error => {
+                console.error("Highlight Unlinked Terms script failed:", error);
+            });
+        return;
     }
 
-    // 1. Find all potential candidate terms, ONLY from paragraphs.
-    const textNodesInParagraphs = Array.from(paragraphs).flatMap(p => collectTextNodes(p));
-    const candidateWords = new Set();
-    
-    // Scrapped the "Find Capitalized Words" logic. 
-    // This new regex finds multi-word phrases (1-3 words) that look like potential terms.
-    // It's language-agnostic and doesn't rely on capitalization.
-    const termRegex = /\b([a-zA-ZÀ-ž-']{4,}(?:\s[a-zA-ZÀ-ž-']{2,}){0,2})\b/g;
-
-    textNodesInParagraphs.forEach(node => {
-        const matches = node.textContent.match(termRegex);
-        if (matches) {
-            matches.forEach(term => candidateWords.add(term.trim()));
-        }
+    // With a link policy, terms linked somewhere stay in: the policy looks at each occurrence
+    const keepLinked = config.linkPolicy !== 'all';
+    // One resolver for both passes: the other languages only get the terms missing here
+    const resolver = WLH.createTitleResolver();
+    const localPromise = WLH.findLinkableTerms(texts, { articleTitle, linked, keepLinked, resolver });
+    const interlanguagePromise = Promise.all([languages, localPromise])
+        .then(([langs]) => WLH.findInterlanguageTerms(texts, { articleTitle, linked, languages: langs, resolver }));
+
+    // 3. After all API checks for all languages are complete, highlight the terms.
+    Promise.all([localPromise, interlanguagePromise]).then(([localTerms, interlanguageTerms]) => {
+        const finalTermsToHighlight = new Map(localTerms);
+        interlanguageTerms.forEach((term, lower) => {
+            if (!finalTermsToHighlight.has(lower)) finalTermsToHighlight.set(lower, term);
+        });
+        highlightTerms(finalTermsToHighlight);
+    }).catch(error => {
+        console.error("Highlight Unlinked Terms script failed:", error);
     });
 
-    if (candidateWords.size === 0) return;
-
-    // 2. Check the API for all configured languages.
-    const api = new mw.Api();
-    const finalTermsToHighlight = new Set();
-    const allApiPromises = [];
-
-    // Loop through each language specified in the config.
-    config.languages.forEach(lang => {
-        const wordsToCheck = Array.from(candidateWords);
-        for (let i = 0; i < wordsToCheck.length; i += config.apiBatchSize) {
-            const chunk = wordsToCheck.slice(i, i + config.apiBatchSize);
-            
-            // Construct the correct API URL for the target language Wikipedia.
-            const apiPromise = $.ajax({
-                url: `https://${lang}.wikipedia.org/w/api.php`,
-                dataType: 'jsonp',
-                data: {
-                    action: 'query',
-                    format: 'json',
-                    titles: chunk.join('|'),
-                    prop: 'pageprops',
-                    ppprop: 'disambiguation',
-                    redirects: 1,
-                    formatversion: 2
-                }
-            }).then(result => {
-                if (!result.query || !result.query.pages) return;
-                result.query.pages.forEach(page => {
-                    if (!page.missing && !page.pageprops?.disambiguation) {
-                        const redirect = result.query.redirects?.find(r => r.to === page.title);
-                        // If an article exists on the target wiki, we add the original term to our highlight list.
-                        finalTermsToHighlight.add(redirect ? redirect.from : page.title);
-                    }
+    // Suggest a link where the link policy wants one, later occurrences are marked with the reason.
+    function highlightTerms(terms) {
+        if (terms.size === 0) return;
+
+        const matcher = WLH.createMatcher(terms);
+        const policy = WLH.createLinkPolicy($content[0], { mode: config.linkPolicy, selector: 'p' });
+        paragraphs.forEach(p => {
+            WLH.highlightElement(p, matcher, {
+                highlightClass: config.highlightClass,
+                policy
+            });
+        });
+    }
+
+    // Gap mode report, shown above the article: one row per term, one column per language
+    // with the article title or a dash. Built from nodes, titles are never parsed as HTML.
+    function reportGaps(gaps) {
+        const report = document.createElement('details');
+        report.className = 'unlinked-term-report';
+        const summary = document.createElement('summary');
+        const redLinks = Array.from(gaps.values()).filter(gap => gap.redLink).length;
+        summary.textContent = gaps.size === 0
+            ? 'Highlight Unlinked Terms: no cross-language gaps found.'
+            : `Highlight Unlinked Terms: ${gaps.size} cross-language gaps, red links here: ${redLinks}.`;
+        report.appendChild(summary);
+
+        if (gaps.size > 0) {
+            const languages = [];
+            gaps.forEach(gap => {
+                gap.sitelinks.forEach((title, lang) => { if (!languages.includes(lang)) languages.push(lang); });
+                gap.missingIn.forEach(lang => { if (!languages.includes(lang)) languages.push(lang); });
+            });
+
+            const table = document.createElement('table');
+            table.appendChild(createRow('th', ['Term', 'Item'].concat(languages)));
+            gaps.forEach(gap => {
+                const row = createRow('td', [gap.surface, gap.item].concat(languages.map(lang => gap.sitelinks.get(lang) || '—')));
+                languages.forEach((lang, i) => {
+                    if (gap.missingIn.includes(lang)) row.children[i + 2].className = 'unlinked-term-report__missing';
                 });
+                table.appendChild(row);
             });
-            allApiPromises.push(apiPromise);
+            report.appendChild(table);
         }
-    });
 
-    // 3. After all API checks for all languages are complete, highlight the terms.
-    Promise.all(allApiPromises).then(() => {
-        if (finalTermsToHighlight.size === 0) return;
-
-        // Highlight only the FIRST occurrence of each valid term.
-        const highlightedOnce = new Set();
-        textNodesInParagraphs.forEach(node => {
-            if (node.parentElement.closest('A, SUP, CITE, MARK')) return;
-
-            const fragment = document.createDocumentFragment();
-            const originalText = node.textContent;
-            const escapedTerms = Array.from(finalTermsToHighlight).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-            if (escapedTerms.length === 0) return;
-            const highlightRegex = new RegExp(`\\b(${escapedTerms.join('|')})\\b`, 'g');
-            let lastIndex = 0;
-            let hasChanges = false;
-            let match;
-
-            while ((match = highlightRegex.exec(originalText)) !== null) {
-                const term = match[0];
-                if (finalTermsToHighlight.has(term) && !highlightedOnce.has(term)) {
-                    hasChanges = true;
-                    fragment.appendChild(document.createTextNode(originalText.slice(lastIndex, match.index)));
-                    
-                    highlightedOnce.add(term);
-                    const mark = document.createElement("mark");
-                    mark.className = "unlinked-term";
-                    mark.textContent = term;
-                    mark.title = `An article for “${term}” exists. Consider creating a link.`;
-                    fragment.appendChild(mark);
-
-                    lastIndex = match.index + term.length;
-                }
-            }
-
-            if (hasChanges) {
-                fragment.appendChild(document.createTextNode(originalText.slice(lastIndex)));
-                node.replaceWith(fragment);
-            }
+        $content[0].insertBefore(report, $content[0].firstChild);
+    }
+
+    function createRow(cellTag, values) {
+        const row = document.createElement('tr');
+        values.forEach(value => {
+            const cell = document.createElement(cellTag);
+            cell.textContent = value || '';
+            row.appendChild(cell);
         });
-    }).catch(error => {
-        console.error("Highlight Unlinked Terms script failed:", error);
-    });
+        return row;
+    }
 
 });
@@ -55,7 +55,7 @@ mw.hook('wikipage.content').add(function($content) {
     
     // This regex is smarter. It doesn't rely on capitalization. It looks for 1-to-3-word phrases
     // that look like potential terms. This is more language-agnostic.
-    const termRegex = /\b[A-Za-zÀ-ž-']{4,}(?:\s[A-Za-zÀ-ž-']{2,}){0,2}\b/g;
+    const termRegex = /[\p{L}\p{M}'’-]{4,}(?:\s[\p{L}\p{M}'’-]{2,}){0,2}/gu;
 
     textNodesInParagraphs.forEach(node => {
         const matches = node.textContent.match(termRegex);
@@ -1,15 +1,16 @@
 // ==UserScript==
 // @name         Wikipedia Smart Linker (No-AI)
 // @description  Verifies unlinked capitalized words against Wikipedia API before highlighting
-// @version      2.0
+// @version      2.2
 // @match        *://*.wikipedia.org/wiki/*
 // @grant        none
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 (function () {
     'use strict';
 
-    const MAX_QUERY_SIZE = 50; // MediaWiki API limit for titles
+    const WLH = window.WikiLinkHighlighter;
     const MIN_WORD_LENGTH = 4;
 
     console.log('[SmartHL] Initializing Verification Engine...');
@@ -24,51 +25,33 @@
     // 1. Extract candidates (Capitalized words not already linked)
     const existingLinks = new Set(Array.from(content.querySelectorAll('a')).map(a => a.textContent.trim()));
     const text = content.innerText;
-    const candidates = Array.from(new Set(text.match(/\b[A-Z][a-z]+\b/g)))
-        .filter(w => w.length >= MIN_WORD_LENGTH && !existingLinks.has(w));
+    // Single words; sentence-initial words that also occur lowercase ("During", "Because") are left out
+    const candidates = WLH.extractCandidates(text, { maxPhraseWords: 1, minWordLength: MIN_WORD_LENGTH })
+        .filter(w => !existingLinks.has(w));
 
     if (candidates.length === 0) return console.log('[SmartHL] No candidates found.');
 
-    // 2. Process candidates in batches of 50 to respect API limits
-    processBatches(candidates);
+    // 2. Verify all candidates at once, the core packs them up to the API's titles limit
+    processCandidates(candidates);
 
-    async function processBatches(list) {
-        for (let i = 0; i < list.length; i += MAX_QUERY_SIZE) {
-            const batch = list.slice(i, i + MAX_QUERY_SIZE);
-            const verifiedTitles = await verifyWithWikipedia(batch);
-            if (verifiedTitles.length > 0) {
-                highlightTerms(content, verifiedTitles);
-            }
+    async function processCandidates(list) {
+        const verifiedTitles = await verifyWithWikipedia(list);
+        if (verifiedTitles.length > 0) {
+            highlightTerms(content, verifiedTitles);
         }
     }
 
     // 3. The "Truth" Source: MediaWiki API
     async function verifyWithWikipedia(titles) {
-        const params = new URLSearchParams({
-            action: 'query',
-            titles: titles.join('|'),
-            format: 'json',
-            redirects: 1,
-            origin: '*'
-        });
-
         try {
-            const response = await fetch(`${mw.util.wikiScript('api')}?${params.toString()}`);
-            const data = await response.json();
-            
-            if (!data.query || !data.query.pages) return [];
+            const query = await WLH.queryTitles(titles, { redirects: '1' });
 
             // Filter out pages that are "missing" (don't exist)
-            const valid = Object.values(data.query.pages)
-                .filter(p => !p.missing)
-                .map(p => {
-                    // We want to match the original word typed, but know the real title
-                    return { found: p.title, exists: true };
-                });
-            
-            return valid.map(v => v.found);
+            return query.pages
+                .filter(p => !p.missing && !p.invalid)
+                .map(p => p.title);
         } catch (err) {
-            console.error('[SmartHL] API Error:', err);
+            if (!WLH.isAbortError(err)) console.error('[SmartHL] API Error:', err);
             return [];
         }
     }
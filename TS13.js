@@ -1,31 +1,28 @@
 // ==UserScript==
 // @name         Wikipedia Editor Link Helper
 // @namespace    http://tampermonkey.net/
-// @version      3.0
+// @version      3.8
 // @description  Help Wikipedia editors by suggesting words that could be linked to existing articles
 // @match        https://*.wikipedia.org/wiki/*
 // @grant        GM_xmlhttpRequest
 // @connect      *.wikipedia.org
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 (function() {
     'use strict';
 
     const CONFIG = {
-        panelWidth: '320px',
-        checkInterval: 300,
-        batchSize: 15
+        panelWidth: '320px'
     };
 
-    let wikiTerms = new Set();
+    const WLH = window.WikiLinkHighlighter;
+
     let currentArticleTitle = '';
     let suggestionPanel = null;
-
-    // Get current article title
-    function getArticleTitle() {
-        const title = document.getElementById('firstHeading');
-        return title ? title.textContent.trim().replace(/\s*\[edit\]\s*$/i, '') : '';
-    }
+    let liveAnalysis = null; // Follows the editor once the first analysis ran
+    const copiedLinks = new Set(); // Wikilinks already copied, still shown as such after updates
+    const resolver = WLH.createTitleResolver();
 
     // Check if we're in edit mode
     function isEditMode() {
@@ -33,94 +30,6 @@
                document.querySelector('.ve-ce-surface') !== null;
     }
 
-    // Fetch links from current article's page
-    async function fetchArticleLinks() {
-        try {
-            const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(currentArticleTitle)}&prop=links&format=json&origin=*&pllimit=500`;
-            
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const pages = data.query.pages;
-            const pageId = Object.keys(pages)[0];
-
-            if (pageId !== '-1' && pages[pageId].links) {
-                pages[pageId].links.forEach(link => {
-                    const term = link.title.replace(/_/g, ' ');
-                    if (!term.includes(':')) {
-                        wikiTerms.add(term.toLowerCase());
-                    }
-                });
-            }
-        } catch (e) {
-            console.error('Error fetching links:', e);
-        }
-    }
-
-    // Extract existing wikilinks from the text
-    function extractExistingLinks(text) {
-        const existing = new Set();
-        const linkRegex = /\[\[([^\]|]+)(?:\|[^\]]+)?\]\]/g;
-        let match;
-        
-        while ((match = linkRegex.exec(text)) !== null) {
-            existing.add(match[1].toLowerCase());
-        }
-        
-        return existing;
-    }
-
-    // Check if Wikipedia pages exist (batch)
-    async function checkWikipediaPages(terms) {
-        if (terms.length === 0) return new Set();
-
-        const titles = terms.join('|');
-        const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(titles)}&format=json&origin=*`;
-
-        try {
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const existing = new Set();
-
-            Object.values(data.query.pages).forEach(page => {
-                if (page.pageid) {
-                    existing.add(page.title.toLowerCase());
-                    wikiTerms.add(page.title.toLowerCase());
-                }
-            });
-
-            return existing;
-        } catch (e) {
-            console.error('Error checking pages:', e);
-            return new Set();
-        }
-    }
-
-    // Extract potential linkable words from text
-    function findLinkableWords(text) {
-        const candidates = [];
-        
-        // Remove existing wikilinks to avoid suggesting already linked terms
-        const cleanText = text.replace(/\[\[.*?\]\]/g, '');
-        
-        // Find capitalized words and phrases
-        const patterns = [
-            /\b([A-Z][a-z]{3,}(?:\s+[A-Z][a-z]+){0,2})\b/g,  // Capitalized phrases (1-3 words)
-            /\b([A-Z]{2,})\b/g  // Acronyms
-        ];
-
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(cleanText)) !== null) {
-                candidates.push({
-                    word: match[1],
-                    position: match.index
-                });
-            }
-        });
-
-        return candidates;
-    }
-
     // Create suggestion panel
     function createSuggestionPanel() {
         const panel = document.createElement('div');
@@ -186,6 +95,8 @@
         // Close button handler
         document.getElementById('closeSuggestions').addEventListener('click', () => {
             panel.style.display = 'none';
+            const editor = WLH.getEditor();
+            if (editor) editor.clearMarks();
         });
 
         return panel;
@@ -194,37 +105,22 @@
     // Update suggestion panel with results
     function updateSuggestions(suggestions) {
         const content = document.getElementById('suggestion-content');
+        // Updates arrive while typing: keep the reader's place in the list
+        const scrollTop = content.scrollTop;
         
         if (suggestions.length === 0) {
             content.innerHTML = '<div style="color: #666;">No new link suggestions found.</div>';
             return;
         }
 
-        let html = '<div style="margin-bottom: 10px; color: #333; font-weight: bold;">Suggested Links:</div>';
-        
+        content.innerHTML = '<div style="margin-bottom: 10px; color: #333; font-weight: bold;">Suggested Links:</div>';
         suggestions.forEach(item => {
-            html += `
-                <div class="suggestion-item" data-term="${item.word}" style="
-                    padding: 8px 10px;
-                    margin: 5px 0;
-                    background: #f0f8ff;
-                    border-left: 3px solid #0645ad;
-                    cursor: pointer;
-                    border-radius: 3px;
-                    transition: background 0.2s;
-                ">
-                    <div style="font-weight: 500; color: #0645ad;">${item.word}</div>
-                    <div style="font-size: 11px; color: #666; margin-top: 3px;">
-                        Click to copy: [[${item.word}]]
-                    </div>
-                </div>
-            `;
+            content.appendChild(item.disambiguation ? renderAmbiguousSuggestion(item) : renderSuggestion(item));
         });
-
-        content.innerHTML = html;
+        content.scrollTop = scrollTop;
 
         // Add click handlers
-        document.querySelectorAll('.suggestion-item').forEach(item => {
+        document.querySelectorAll('.suggestion-item[data-wikilink]').forEach(item => {
             item.addEventListener('mouseenter', function() {
                 this.style.background = '#e6f2ff';
             });
@@ -232,11 +128,11 @@
                 this.style.background = '#f0f8ff';
             });
             item.addEventListener('click', function() {
-                const term = this.dataset.term;
-                const wikilink = `[[${term}]]`;
+                const wikilink = this.dataset.wikilink;
                 
                 // Copy to clipboard
                 navigator.clipboard.writeText(wikilink).then(() => {
+                    copiedLinks.add(wikilink);
                     const originalHTML = this.innerHTML;
                     this.innerHTML = '<div style="color: #28a745; font-weight: bold;">✓ Copied to clipboard!</div>';
                     this.style.background = '#d4edda';
@@ -250,51 +146,125 @@
         });
     }
 
-    // Analyze the article text
-    async function analyzeText() {
-        const textarea = document.getElementById('wpTextbox1');
-        if (!textarea) return;
+    // Built from nodes: words and article titles go in as text, never parsed as HTML
+    function renderSuggestion(item) {
+        const wikilink = WLH.buildWikilink(item.title, item.word);
+        const copied = copiedLinks.has(wikilink);
+        const element = document.createElement('div');
+        element.className = 'suggestion-item';
+        element.dataset.wikilink = wikilink;
+        element.style.cssText = `
+            padding: 8px 10px;
+            margin: 5px 0;
+            background: #f0f8ff;
+            border-left: 3px solid ${copied ? '#28a745' : '#0645ad'};
+            cursor: pointer;
+            border-radius: 3px;
+            transition: background 0.2s;
+        `;
+        element.innerHTML = `
+            <div style="font-weight: 500; color: #0645ad;"><span class="suggestion-word"></span>${copied ? ' <span style="color: #28a745;">✓</span>' : ''}</div>
+            <div class="suggestion-hint" style="font-size: 11px; color: #666; margin-top: 3px;"></div>
+        `;
+        element.querySelector('.suggestion-word').textContent = item.word;
+        element.querySelector('.suggestion-hint').textContent = `Click to copy: ${wikilink}`;
+        return element;
+    }
 
-        const text = textarea.value;
-        const existingLinks = extractExistingLinks(text);
-        
-        // Find potential linkable words
-        const candidates = findLinkableWords(text);
-        
-        // Remove duplicates and already linked terms
-        const uniqueCandidates = [];
-        const seen = new Set();
-        
-        candidates.forEach(item => {
-            const lower = item.word.toLowerCase();
-            if (!seen.has(lower) && 
-                !existingLinks.has(lower) && 
-                lower !== currentArticleTitle.toLowerCase()) {
-                seen.add(lower);
-                uniqueCandidates.push(item);
-            }
+    // Disambiguation hits: one copyable entry per specific article listed on the page
+    function renderAmbiguousSuggestion(item) {
+        const options = item.options.slice(0, WLH.DEFAULT_CONFIG.maxDisambiguationOptions);
+        const element = document.createElement('div');
+        element.style.cssText = `
+            padding: 8px 10px;
+            margin: 5px 0;
+            background: #fff8ec;
+            border-left: 3px dashed #e08a00;
+            border-radius: 3px;
+        `;
+        element.innerHTML = `
+            <div style="font-weight: 500; color: #8a4b00;">
+                <span class="suggestion-word"></span>
+                <span style="font-size: 10px; background: #e08a00; color: white; padding: 1px 4px; border-radius: 2px; margin-left: 4px;">ambiguous</span>
+            </div>
+            <div class="suggestion-hint" style="font-size: 11px; color: #666; margin-top: 3px;"></div>
+        `;
+        element.querySelector('.suggestion-word').textContent = item.word;
+        element.querySelector('.suggestion-hint').textContent =
+            `[[${item.title}]] is a disambiguation page. ${options.length ? 'Link one of:' : 'Find the specific article first.'}`;
+
+        options.forEach(option => {
+            const choice = document.createElement('div');
+            choice.className = 'suggestion-item';
+            choice.dataset.wikilink = WLH.buildWikilink(option, item.word);
+            choice.style.cssText = `
+                padding: 3px 6px;
+                margin: 3px 0;
+                background: #f0f8ff;
+                cursor: pointer;
+                border-radius: 3px;
+                font-size: 11px;
+                color: #0645ad;
+            `;
+            choice.textContent = option;
+            element.appendChild(choice);
         });
+        return element;
+    }
 
-        // Check which ones have Wikipedia articles
-        const suggestions = [];
-        const batchSize = CONFIG.batchSize;
-        
-        for (let i = 0; i < uniqueCandidates.length; i += batchSize) {
-            const batch = uniqueCandidates.slice(i, i + batchSize);
-            const batchTerms = batch.map(b => b.word);
-            
-            const existing = await checkWikipediaPages(batchTerms);
-            
-            batch.forEach(item => {
-                if (existing.has(item.word.toLowerCase())) {
-                    suggestions.push(item);
-                }
+    function injectMarkStyle() {
+        if (document.getElementById('link-suggestion-style')) return;
+        const style = document.createElement('style');
+        style.id = 'link-suggestion-style';
+        style.textContent = '.link-suggestion-mark { background: rgba(6, 69, 173, 0.12); border-bottom: 2px solid #0645ad; }';
+        document.head.appendChild(style);
+    }
+
+    // Analyze the article text. The first run starts following the editor: while typing,
+    // only the paragraphs that changed are analyzed again
+    async function analyzeText() {
+        // The textarea or CodeMirror, whose text the hidden textarea only gets on submit
+        const editor = WLH.getEditor();
+        if (!editor) return;
+
+        if (!liveAnalysis) {
+            liveAnalysis = WLH.createLiveAnalysis(editor, {
+                analyze: (texts, { wikitext }) => WLH.findLinkableTermsPerText(texts, {
+                    articleTitle: currentArticleTitle,
+                    linked: WLH.collectWikitextLinks(wikitext),
+                    resolver
+                }),
+                onUpdate: showAnalysis
             });
-            
-            if (i + batchSize < uniqueCandidates.length) {
-                await new Promise(resolve => setTimeout(resolve, CONFIG.checkInterval));
-            }
         }
+        await liveAnalysis.refresh();
+    }
+
+    function showAnalysis({ source, wikitext, paragraphs }) {
+        const editor = WLH.getEditor();
+
+        // Link targets and texts count as already linked, also links added after a paragraph was analyzed
+        const linked = WLH.collectWikitextLinks(wikitext);
+        const terms = new Map(Array.from(WLH.mergeLinkableTerms(paragraphs.map(paragraph => paragraph.result)))
+            .filter(([lower, term]) => !linked.has(lower) && !linked.has(term.title.toLowerCase())));
+
+        // First prose occurrence in the wikitext, marked in the editor (CodeMirror only)
+        const firstSeen = new Map();
+        WLH.findWikitextOccurrences(source, WLH.createMatcher(terms)).forEach(occurrence => {
+            if (!firstSeen.has(occurrence.key)) firstSeen.set(occurrence.key, occurrence);
+        });
+        if (editor) {
+            injectMarkStyle();
+            editor.mark(Array.from(firstSeen.values()), 'link-suggestion-mark');
+        }
+
+        const suggestions = Array.from(terms.entries(), ([lower, term]) => ({
+            word: term.surface,
+            title: term.title,
+            disambiguation: term.disambiguation,
+            options: term.options,
+            position: firstSeen.has(lower) ? firstSeen.get(lower).start : -1
+        }));
 
         // Sort by position in text
         suggestions.sort((a, b) => a.position - b.position);
@@ -365,13 +335,10 @@
             return;
         }
 
-        currentArticleTitle = getArticleTitle();
+        currentArticleTitle = WLH.getArticleTitle();
         console.log('Wikipedia Editor Link Helper initialized');
         console.log(`Article: ${currentArticleTitle}`);
 
-        // Fetch related terms
-        await fetchArticleLinks();
-        
         // Create suggestion panel
         suggestionPanel = createSuggestionPanel();
         suggestionPanel.style.display = 'none';
@@ -1,45 +1,49 @@
 // ==UserScript==
 // @name         Wikipedia Advanced Word Highlighter
 // @namespace    http://tampermonkey.net/
-// @version      4.0
+// @version      4.12
 // @description  Advanced Wikipedia word highlighter with caching, settings, and smart detection
 // @match        https://*.wikipedia.org/wiki/*
 // @grant        GM_setValue
 // @grant        GM_getValue
 // @grant        GM_deleteValue
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 (function() {
     'use strict';
 
+    const WLH = window.WikiLinkHighlighter;
+
     // Configuration with user settings
     const DEFAULT_CONFIG = {
         enabled: true,
         highlightColor: '#ffeb3b',
         minWordLength: 4,
         maxWordsPerParagraph: 30,
-        batchSize: 15,
-        delay: 250,
-        cacheExpiry: 7 * 24 * 60 * 60 * 1000, // 7 days
         processInViewport: true,
         showProgress: true,
         rateLimit: 100, // requests per minute
-        blacklist: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 
-                    'August', 'September', 'October', 'November', 'December']
+        linkPolicy: 'first-in-article' // MOS:LINKONCE: 'first-in-article', 'first-per-section' or 'all'
     };
 
     let CONFIG = { ...DEFAULT_CONFIG };
     let wikiTerms = new Map();
-    let cache = { exists: {}, notExists: {}, timestamp: Date.now() };
+    const titleCache = WLH.createTitleCache();
+    let titleResolver = null;
+    let exclusions = WLH.createExclusionList(); // Replaced by the full list (wiki and user layers) in init
     let currentArticle = '';
+    let articleText = ''; // Whole article, to tell sentence-initial words from names
+    let acronyms = new Map(); // Acronyms the article defines -> their expansion
+    let linkPolicy = null; // Which occurrences get a link suggestion
     let isProcessing = false;
     let shouldStop = false;
     let processedCount = 0;
     let totalCount = 0;
     let controlPanel = null;
     let progressBar = null;
-    let requestCount = 0;
-    let requestTimer = null;
+    let progressLabel = null;
+    const scheduler = WLH.getScheduler();
 
     // Load configuration from storage
     function loadConfig() {
@@ -62,64 +66,6 @@
         }
     }
 
-    // Load cache from storage
-    function loadCache() {
-        try {
-            const saved = GM_getValue('wikiHighlightCache');
-            if (saved) {
-                cache = JSON.parse(saved);
-                // Check if cache is expired
-                if (Date.now() - cache.timestamp > CONFIG.cacheExpiry) {
-                    cache = { exists: {}, notExists: {}, timestamp: Date.now() };
-                    saveCache();
-                }
-            }
-        } catch (e) {
-            console.error('Error loading cache:', e);
-        }
-    }
-
-    // Save cache to storage
-    function saveCache() {
-        try {
-            GM_setValue('wikiHighlightCache', JSON.stringify(cache));
-        } catch (e) {
-            console.error('Error saving cache:', e);
-        }
-    }
-
-    // Clear old cache entries
-    function cleanCache() {
-        const newCache = { exists: {}, notExists: {}, timestamp: Date.now() };
-        let count = 0;
-        
-        for (const [term, data] of Object.entries(cache.exists)) {
-            if (Date.now() - (data.timestamp || 0) < CONFIG.cacheExpiry) {
-                newCache.exists[term] = data;
-                count++;
-            }
-        }
-        
-        cache = newCache;
-        saveCache();
-        console.log(`Cache cleaned. ${count} entries kept.`);
-    }
-
-    // Rate limiting
-    function canMakeRequest() {
-        if (!requestTimer) {
-            requestTimer = setInterval(() => {
-                requestCount = 0;
-            }, 60000); // Reset every minute
-        }
-        
-        if (requestCount >= CONFIG.rateLimit) {
-            return false;
-        }
-        requestCount++;
-        return true;
-    }
-
     // Get current article title
     function getArticleTitle() {
         const title = document.getElementById('firstHeading');
@@ -134,17 +80,13 @@
         // Exclude current article
         if (lower === currentArticle.toLowerCase()) return true;
         
-        // Exclude blacklisted terms
-        if (CONFIG.blacklist.some(b => b.toLowerCase() === lower)) return true;
+        // Exclude stopwords, the wiki's and the user's exclusion lists
+        if (exclusions.has(lower)) return true;
         
         // Exclude dates and numbers
         if (/^\d+$/.test(word)) return true;
         if (/^\d{1,2}(st|nd|rd|th)$/.test(word)) return true;
         
-        // Exclude common words that are unlikely to be articles
-        const commonWords = ['this', 'that', 'these', 'those', 'with', 'from', 'have', 'been', 'were', 'their', 'there', 'where', 'what', 'when'];
-        if (commonWords.includes(lower)) return true;
-        
         return false;
     }
 
@@ -157,127 +99,48 @@
             const term = decodeURIComponent(href.replace('/wiki/', '')).replace(/_/g, ' ');
             const lower = term.toLowerCase();
             wikiTerms.set(lower, term);
-            cache.exists[lower] = { term, timestamp: Date.now() };
         });
         
         console.log(`Extracted ${wikiTerms.size} existing links`);
     }
 
-    // Fetch related articles
+    // Fetch related articles: every outgoing link, following continuation on long articles
     async function fetchRelatedArticles() {
-        try {
-            const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(currentArticle)}&prop=links&format=json&origin=*&pllimit=500`;
-            
-            if (!canMakeRequest()) {
-                console.log('Rate limit reached, skipping API call');
-                return;
-            }
-            
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const pages = data.query.pages;
-            const pageId = Object.keys(pages)[0];
-
-            if (pageId !== '-1' && pages[pageId].links) {
-                pages[pageId].links.forEach(link => {
-                    const term = link.title.replace(/_/g, ' ');
-                    if (!term.includes(':')) {
-                        const lower = term.toLowerCase();
-                        wikiTerms.set(lower, term);
-                        cache.exists[lower] = { term, timestamp: Date.now() };
-                    }
-                });
-                console.log(`Total terms: ${wikiTerms.size}`);
-            }
-        } catch (e) {
-            console.error('Error fetching related articles:', e);
-        }
+        const neighbourhood = await WLH.fetchArticleNeighbourhood(currentArticle, { scheduler });
+        neighbourhood.links.forEach((term, lower) => {
+            wikiTerms.set(lower, term);
+        });
+        console.log(`Total terms: ${wikiTerms.size}`);
     }
 
-    // Check if pages exist (with caching)
+    // Check if pages exist (each title is cached separately by the core)
     async function checkPagesExist(terms) {
-        const toCheck = [];
-        const cached = [];
-        
-        terms.forEach(term => {
-            const lower = term.toLowerCase();
-            
-            if (cache.exists[lower]) {
-                wikiTerms.set(lower, cache.exists[lower].term);
-                cached.push(term);
-            } else if (!cache.notExists[lower]) {
-                toCheck.push(term);
-            }
+        if (terms.length === 0) return [];
+
+        // Rate limiting, retries and backoff are handled by the core's request scheduler.
+        // An acronym defined in the article ("North Atlantic Treaty Organization (NATO)") resolves to its expansion
+        const resolved = await titleResolver.resolve(terms, { acronyms });
+        const existing = [];
+
+        resolved.forEach((record, term) => {
+            // Disambiguation pages must not be linked, don't suggest them
+            if (!record.exists || record.disambiguation) return;
+            wikiTerms.set(term.toLowerCase(), record.title);
+            existing.push(record.title);
         });
 
-        if (cached.length > 0) {
-            console.log(`Using ${cached.length} cached results`);
-        }
-
-        if (toCheck.length === 0) return [];
-
-        if (!canMakeRequest()) {
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            return checkPagesExist(toCheck);
-        }
-
-        const titles = toCheck.join('|');
-        const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(titles)}&format=json&origin=*`;
-
-        try {
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const existing = [];
-
-            Object.values(data.query.pages).forEach(page => {
-                const lower = page.title.toLowerCase();
-                
-                if (page.pageid) {
-                    wikiTerms.set(lower, page.title);
-                    cache.exists[lower] = { term: page.title, timestamp: Date.now() };
-                    existing.push(page.title);
-                } else {
-                    cache.notExists[lower] = Date.now();
-                }
-            });
-
-            saveCache();
-            return existing;
-        } catch (e) {
-            console.error('Error checking pages:', e);
-            return [];
-        }
+        return existing;
     }
 
-    // Find candidate words
+    // Find candidate words: capitalized terms in cased scripts, any word in Devanagari, CJK, Arabic...
     function findCandidateWords(text) {
-        const words = new Set();
-        
-        // Remove citations and references
-        text = text.replace(/\[\d+\]/g, '');
-        text = text.replace(/\([^)]*\)/g, '');
-        
-        // Capitalized words (4+ letters)
-        (text.match(/\b[A-Z][a-z]{3,}\b/g) || []).forEach(w => {
-            if (!shouldExclude(w)) words.add(w);
-        });
-        
-        // Two-word phrases
-        (text.match(/\b[A-Z][a-z]+\s+[A-Z][a-z]+\b/g) || []).forEach(w => {
-            if (!shouldExclude(w)) words.add(w);
+        return WLH.extractCandidates(text, {
+            articleTitle: currentArticle,
+            exclusions,
+            minWordLength: CONFIG.minWordLength,
+            context: articleText,
+            locale: document.documentElement.lang
         });
-        
-        // Three-word phrases
-        (text.match(/\b[A-Z][a-z]+\s+[A-Z][a-z]+\s+[A-Z][a-z]+\b/g) || []).forEach(w => {
-            if (!shouldExclude(w)) words.add(w);
-        });
-        
-        // Acronyms
-        (text.match(/\b[A-Z]{2,}\b/g) || []).forEach(w => {
-            if (!shouldExclude(w) && w.length <= 6) words.add(w);
-        });
-        
-        return Array.from(words);
     }
 
     // Check if element is in viewport
@@ -291,6 +154,16 @@
         );
     }
 
+    // Show how many API requests are waiting in the scheduler
+    function updateQueueDepth(state) {
+        if (!progressLabel) return;
+        const waiting = state.queued + state.active;
+        const paused = state.pausedUntil > Date.now() ? ', servers busy, waiting' : '';
+        progressLabel.textContent = waiting > 0
+            ? `Processing... (${waiting} request${waiting === 1 ? '' : 's'} pending${paused})`
+            : 'Processing...';
+    }
+
     // Update progress
     function updateProgress() {
         if (!CONFIG.showProgress || !progressBar) return;
@@ -315,26 +188,16 @@
             return;
         }
         
-        const text = paragraph.textContent;
+        const text = WLH.createTextModel(paragraph).text;
         const candidates = findCandidateWords(text);
         
         const toCheck = candidates.filter(word => {
-            const lower = word.toLowerCase();
-            return lower.length >= CONFIG.minWordLength &&
-                   !wikiTerms.has(lower) &&
-                   !shouldExclude(word);
+            return !wikiTerms.has(word.toLowerCase()) && !shouldExclude(word);
         }).slice(0, CONFIG.maxWordsPerParagraph);
 
-        // Check in batches
-        for (let i = 0; i < toCheck.length; i += CONFIG.batchSize) {
-            if (shouldStop) break;
-            
-            const batch = toCheck.slice(i, i + CONFIG.batchSize);
-            await checkPagesExist(batch);
-            
-            if (i + CONFIG.batchSize < toCheck.length) {
-                await new Promise(r => setTimeout(r, CONFIG.delay));
-            }
+        // One call: the resolver packs the titles into as few API requests as possible
+        if (!shouldStop) {
+            await checkPagesExist(toCheck);
         }
 
         if (!shouldStop) {
@@ -348,81 +211,52 @@
 
     // Apply highlighting
     function highlightInParagraph(paragraph) {
-        const walker = document.createTreeWalker(
-            paragraph,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: function(node) {
-                    if (node.parentElement.tagName === 'A' || 
-                        node.parentElement.closest('[data-wiki-highlight]')) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    return NodeFilter.FILTER_ACCEPT;
-                }
-            }
-        );
-
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
-        }
-
-        textNodes.forEach(textNode => {
-            highlightTextNode(textNode);
+        WLH.highlightElement(paragraph, getMatcher(), {
+            skipSelector: 'a, [data-wiki-highlight]',
+            policy: linkPolicy,
+            createMark: createHighlight
         });
     }
 
-    // Highlight text node
-    function highlightTextNode(textNode) {
-        const text = textNode.textContent;
-        const matches = [];
-
-        wikiTerms.forEach((originalTerm, lowerTerm) => {
-            if (shouldExclude(originalTerm)) return;
-            
-            const regex = new RegExp(`\\b(${originalTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})\\b`, 'gi');
-            let match;
-            
-            while ((match = regex.exec(text)) !== null) {
-                matches.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: match[0]
-                });
-            }
-        });
-
-        if (matches.length === 0) return;
+    // Matcher over wikiTerms, recompiled only when new terms were found
+    let matcher = null;
+    let matcherSize = -1;
 
-        matches.sort((a, b) => a.start - b.start);
-        const validMatches = [];
-        
-        for (const match of matches) {
-            const overlaps = validMatches.some(m => 
-                (match.start >= m.start && match.start < m.end) ||
-                (match.end > m.start && match.end <= m.end)
-            );
-            if (!overlaps) {
-                validMatches.push(match);
-            }
+    function getMatcher() {
+        if (matcherSize !== wikiTerms.size) {
+            const terms = new Map();
+            wikiTerms.forEach((originalTerm, lowerTerm) => {
+                if (!shouldExclude(originalTerm)) terms.set(lowerTerm, { title: originalTerm });
+            });
+            matcher = WLH.createMatcher(terms);
+            matcherSize = wikiTerms.size;
         }
+        return matcher;
+    }
 
-        if (validMatches.length === 0) return;
-
-        let newHTML = '';
-        let lastIndex = 0;
-
-        validMatches.forEach(match => {
-            newHTML += text.substring(lastIndex, match.start);
-            newHTML += `<span data-wiki-highlight style="background-color: ${CONFIG.highlightColor}; padding: 2px 4px; border-radius: 3px; cursor: pointer; transition: background-color 0.2s;" data-term="${match.text}" onmouseover="this.style.backgroundColor='#ffd700'" onmouseout="this.style.backgroundColor='${CONFIG.highlightColor}'">${match.text}</span>`;
-            lastIndex = match.end;
+    // Highlight element, built as a node so article text is never parsed as HTML
+    function createHighlight(match) {
+        const span = document.createElement('span');
+        span.setAttribute('data-wiki-highlight', '');
+        span.setAttribute('data-wlh', '');
+        span.dataset.term = match.data.title || match.surface || match.text;
+        span.textContent = match.text;
+        // Later occurrence under the link policy: a dotted underline and the reason in the tooltip
+        if (match.policy && !match.policy.suggest) {
+            span.dataset.repeat = 'true';
+            span.title = match.policy.reason;
+            span.style.cssText = `border-bottom: 1px dotted #999; cursor: pointer;`;
+            return span;
+        }
+        span.style.cssText = `background-color: ${CONFIG.highlightColor}; padding: 2px 4px; border-radius: 3px; cursor: pointer; transition: background-color 0.2s;`;
+        // A term split by inline markup is several spans, hover lights them all
+        span.addEventListener('mouseover', () => {
+            WLH.getHighlightParts(span).forEach(part => { part.style.backgroundColor = '#ffd700'; });
         });
-        newHTML += text.substring(lastIndex);
-
-        const wrapper = document.createElement('span');
-        wrapper.innerHTML = newHTML;
-        textNode.parentNode.replaceChild(wrapper, textNode);
+        span.addEventListener('mouseout', () => {
+            WLH.getHighlightParts(span).forEach(part => { part.style.backgroundColor = CONFIG.highlightColor; });
+        });
+        return span;
     }
 
     // Process all paragraphs
@@ -490,9 +324,9 @@
                 font-family: sans-serif;
             `;
             
-            const label = document.createElement('div');
-            label.textContent = 'Processing...';
-            label.style.cssText = 'font-size: 12px; margin-bottom: 5px; color: #333;';
+            progressLabel = document.createElement('div');
+            progressLabel.textContent = 'Processing...';
+            progressLabel.style.cssText = 'font-size: 12px; margin-bottom: 5px; color: #333;';
             
             const barContainer = document.createElement('div');
             barContainer.style.cssText = 'width: 100%; height: 20px; background: #f0f0f0; border-radius: 4px; overflow: hidden;';
@@ -512,7 +346,7 @@
             `;
             
             barContainer.appendChild(progressBar);
-            container.appendChild(label);
+            container.appendChild(progressLabel);
             container.appendChild(barContainer);
             document.body.appendChild(container);
         }
@@ -560,11 +394,30 @@
                     <input type="range" id="minWordLength" min="3" max="8" value="${CONFIG.minWordLength}" style="width: 100%; cursor: pointer;">
                 </label>
                 
+                <label style="display: block; margin-bottom: 8px; font-size: 13px;">
+                    Suggest links:
+                    <select id="linkPolicy" style="margin-left: 8px; font-size: 12px;">
+                        <option value="first-in-article" ${CONFIG.linkPolicy === 'first-in-article' ? 'selected' : ''}>First in lead and body</option>
+                        <option value="first-per-section" ${CONFIG.linkPolicy === 'first-per-section' ? 'selected' : ''}>First per section</option>
+                        <option value="all" ${CONFIG.linkPolicy === 'all' ? 'selected' : ''}>Every occurrence</option>
+                    </select>
+                </label>
+                
                 <label style="display: flex; align-items: center; margin-bottom: 12px; cursor: pointer;">
                     <input type="checkbox" id="showProgress" ${CONFIG.showProgress ? 'checked' : ''} style="margin-right: 8px;">
                     <span style="font-size: 13px;">Show progress bar</span>
                 </label>
                 
+                <label style="display: block; margin-bottom: 4px; font-size: 13px;">
+                    Excluded words (one per line, !word to allow a stopword):
+                    <textarea id="userExclusions" rows="4" style="width: 100%; box-sizing: border-box; font-size: 12px; margin-top: 4px;"></textarea>
+                </label>
+                <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                    <button id="importExclusions" style="flex: 1; padding: 4px; font-size: 11px; cursor: pointer;">📥 Import</button>
+                    <button id="exportExclusions" style="flex: 1; padding: 4px; font-size: 11px; cursor: pointer;">📤 Export</button>
+                    <input type="file" id="exclusionsFile" accept=".txt,text/plain" style="display: none;">
+                </div>
+                
                 <div style="margin-top: 15px; display: flex; gap: 8px;">
                     <button id="refreshHighlight" style="flex: 1; padding: 8px; background: #0645ad; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
                         🔄 Refresh
@@ -575,7 +428,7 @@
                 </div>
                 
                 <div style="margin-top: 12px; padding: 10px; background: #f8f9fa; border-radius: 4px; font-size: 11px; color: #666;">
-                    <div>Cached terms: ${Object.keys(cache.exists).length}</div>
+                    <div>Cached terms: <span id="cachedTermCount">…</span></div>
                     <div>Active: ${wikiTerms.size} terms</div>
                 </div>
             </div>
@@ -583,6 +436,10 @@
 
         document.body.appendChild(panel);
 
+        titleCache.size().then(count => {
+            document.getElementById('cachedTermCount').textContent = count;
+        });
+
         // Event listeners
         document.getElementById('closePanel').addEventListener('click', () => {
             panel.style.display = 'none';
@@ -599,7 +456,7 @@
         document.getElementById('highlightColor').addEventListener('change', (e) => {
             CONFIG.highlightColor = e.target.value;
             saveConfig();
-            document.querySelectorAll('[data-wiki-highlight]').forEach(el => {
+            document.querySelectorAll('[data-wiki-highlight]:not([data-repeat])').forEach(el => {
                 el.style.backgroundColor = CONFIG.highlightColor;
             });
         });
@@ -610,19 +467,53 @@
             saveConfig();
         });
 
+        // Applies from the next page load, highlighted paragraphs keep their marks
+        document.getElementById('linkPolicy').addEventListener('change', (e) => {
+            CONFIG.linkPolicy = e.target.value;
+            saveConfig();
+        });
+
         document.getElementById('showProgress').addEventListener('change', (e) => {
             CONFIG.showProgress = e.target.checked;
             saveConfig();
         });
 
+        // The textarea is filled as a node property, never parsed as HTML
+        const exclusionsInput = document.getElementById('userExclusions');
+        exclusionsInput.value = WLH.formatExclusionList(WLH.loadUserExclusions());
+        exclusionsInput.addEventListener('change', () => {
+            setUserExclusions(WLH.parseExclusionList(exclusionsInput.value));
+        });
+
+        const exclusionsFile = document.getElementById('exclusionsFile');
+        document.getElementById('importExclusions').addEventListener('click', () => exclusionsFile.click());
+        exclusionsFile.addEventListener('change', async () => {
+            const file = exclusionsFile.files[0];
+            if (!file) return;
+            const imported = WLH.parseExclusionList(await file.text());
+            const merged = Array.from(new Set(WLH.parseExclusionList(exclusionsInput.value).concat(imported)));
+            exclusionsInput.value = WLH.formatExclusionList(merged);
+            setUserExclusions(merged);
+            exclusionsFile.value = '';
+        });
+
+        document.getElementById('exportExclusions').addEventListener('click', () => {
+            const blob = new Blob([exclusionsInput.value + '\n'], { type: 'text/plain' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'wiki-highlighter-exclusions.txt';
+            link.click();
+            // Revoked right away, Firefox can cancel the download before it starts
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+
         document.getElementById('refreshHighlight').addEventListener('click', () => {
             location.reload();
         });
 
-        document.getElementById('clearCache').addEventListener('click', () => {
+        document.getElementById('clearCache').addEventListener('click', async () => {
             if (confirm('Clear all cached data? This will require re-checking all terms.')) {
-                cache = { exists: {}, notExists: {}, timestamp: Date.now() };
-                saveCache();
+                await titleCache.clear();
                 alert('Cache cleared! The page will reload.');
                 location.reload();
             }
@@ -631,6 +522,13 @@
         return panel;
     }
 
+    // Store the user's exclusion list and apply it to paragraphs highlighted from now on
+    function setUserExclusions(entries) {
+        WLH.saveUserExclusions(entries);
+        exclusions = WLH.createExclusionList({ lang: exclusions.lang, wiki: exclusions.layers.wiki, user: entries });
+        matcherSize = -1;
+    }
+
     // Add floating toggle button
     function addToggleButton() {
         const btn = document.createElement('button');
@@ -692,7 +590,6 @@
     // Handle page unload
     window.addEventListener('beforeunload', () => {
         shouldStop = true;
-        saveCache();
     });
 
     // Initialize
@@ -703,21 +600,35 @@
         }
 
         currentArticle = getArticleTitle();
-        console.log('Wikipedia Advanced Highlighter v4.0');
+        console.log('Wikipedia Advanced Highlighter v4.12');
         console.log(`Article: "${currentArticle}"`);
 
         loadConfig();
-        loadCache();
+        // Blacklists saved by 4.8 and earlier become the user exclusion list
+        if (CONFIG.blacklist) {
+            if (!WLH.loadUserExclusions().length) WLH.saveUserExclusions(CONFIG.blacklist);
+            delete CONFIG.blacklist;
+            saveConfig();
+        }
+        scheduler.configure({ requestsPerMinute: CONFIG.rateLimit });
+        scheduler.onChange(updateQueueDepth);
+        GM_deleteValue('wikiHighlightCache'); // single-blob cache from before 4.2
+        titleResolver = WLH.createTitleResolver({
+            cache: titleCache,
+            scheduler
+        });
         
+        exclusions = await WLH.loadExclusions({ scheduler });
+        const content = document.getElementById('mw-content-text');
+        articleText = content ? WLH.createTextModel(content).text : '';
+        acronyms = WLH.findAcronymDefinitions(articleText);
+        linkPolicy = content ? WLH.createLinkPolicy(content, { mode: CONFIG.linkPolicy, selector: 'p' }) : null;
         controlPanel = createControlPanel();
         addToggleButton();
 
         await extractExistingLinks();
         await fetchRelatedArticles();
         await processAllParagraphs();
-        
-        // Clean cache periodically
-        cleanCache();
     }
 
     // Start
@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Wikipedia Smart Editor Assistant
 // @namespace    http://tampermonkey.net/
-// @version      5.0
+// @version      5.9
 // @description  Intelligent Wikipedia editor tool - finds relevant linkable terms with Wikidata support
 // @match        https://*.wikipedia.org/wiki/*
 // @grant        GM_setValue
@@ -9,23 +9,24 @@
 // @grant        GM_xmlhttpRequest
 // @connect      *.wikipedia.org
 // @connect      *.wikidata.org
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 (function() {
     'use strict';
 
+    const WLH = window.WikiLinkHighlighter;
+
     const CONFIG = {
         enabled: true,
         highlightColor: 'rgba(255, 235, 59, 0.3)', // Semi-transparent
         borderColor: '#ffc107',
         minRelevanceScore: 0.3,
-        batchSize: 20,
-        delay: 200,
         cacheExpiry: 7 * 24 * 60 * 60 * 1000,
         showCount: true
     };
 
-    let relevantTerms = new Map(); // term -> {score, count, positions}
+    let relevantTerms = new Map(); // term -> {score, count, positions, title}
     let cache = {};
     let currentArticle = '';
     let qid = null; // Wikidata QID
@@ -33,7 +34,9 @@
     let highlightsEnabled = true;
     let processedParagraphs = new Set();
     let wordOccurrences = new Map(); // term -> {count, positions: [{para, offset}]}
+    let exclusions = null; // Stopwords, the wiki's and the user's exclusion lists
     let sidePanel = null;
+    let veHighlighter = null; // Suggestions drawn on the VisualEditor surface
 
     // ==================== UTILITY FUNCTIONS ====================
 
@@ -75,20 +78,8 @@
     // ==================== WIKIDATA INTEGRATION ====================
 
     async function getWikidataQID() {
-        try {
-            const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(currentArticle)}&prop=pageprops&format=json&origin=*`;
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const pages = data.query.pages;
-            const pageId = Object.keys(pages)[0];
-            
-            if (pageId !== '-1' && pages[pageId].pageprops) {
-                return pages[pageId].pageprops.wikibase_item || null;
-            }
-        } catch (e) {
-            console.error('Error fetching Wikidata QID:', e);
-        }
-        return null;
+        const items = await WLH.fetchWikidataItems([currentArticle]);
+        return items.get(currentArticle) || null;
     }
 
     async function fetchWikidataRelatedEntities() {
@@ -155,7 +146,7 @@
 
     // ==================== RELEVANCE SCORING ====================
 
-    function calculateRelevance(term, articleLinks, wikidataEntities) {
+    function calculateRelevance(term, neighbourhood, wikidataEntities) {
         let score = 0;
         const lower = term.toLowerCase();
         const articleLower = currentArticle.toLowerCase();
@@ -164,18 +155,17 @@
         if (lower === articleLower) return 0;
         if (articleLower.includes(lower) || lower.includes(articleLower)) return 0;
 
-        // High score: in article's outgoing links
-        if (articleLinks.has(lower)) score += 0.5;
+        // High score: linked from the article, linking back to it or named by one of its navboxes
+        score += neighbourhood.relatedness(lower);
 
         // High score: in Wikidata related entities
         if (wikidataEntities.some(e => e.toLowerCase() === lower)) score += 0.4;
 
         // Medium score: capitalized (likely proper noun)
-        if (/^[A-Z]/.test(term)) score += 0.2;
+        if (/^\p{Lu}/u.test(term)) score += 0.2;
 
-        // Penalty for common words unlikely to be relevant
-        const commonWords = ['the', 'and', 'or', 'but', 'with', 'from', 'this', 'that', 'these', 'those', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-        if (commonWords.includes(lower)) score -= 1;
+        // Penalty for stopwords and excluded terms
+        if (exclusions && exclusions.has(lower)) score -= 1;
 
         // Penalty for numbers and dates
         if (/^\d+$/.test(term)) score -= 1;
@@ -185,92 +175,59 @@
 
     // ==================== FETCH ARTICLE DATA ====================
 
-    async function fetchArticleLinks() {
-        const links = new Set();
-        
-        try {
-            const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(currentArticle)}&prop=links&format=json&origin=*&pllimit=500`;
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const pages = data.query.pages;
-            const pageId = Object.keys(pages)[0];
-
-            if (pageId !== '-1' && pages[pageId].links) {
-                pages[pageId].links.forEach(link => {
-                    const term = link.title.replace(/_/g, ' ');
-                    if (!term.includes(':')) {
-                        links.add(term.toLowerCase());
-                    }
-                });
-            }
-        } catch (e) {
-            console.error('Error fetching article links:', e);
-        }
-
-        return links;
+    // Outgoing links (all pages of them), backlinks and templates of the current article
+    function fetchNeighbourhood() {
+        return WLH.fetchArticleNeighbourhood(currentArticle, {
+            linksHere: true,
+            templates: true
+        });
     }
 
+    // Batching, POST for long lists and continuation are handled by the core's title resolver.
+    // Map lower term -> resolved record, record.title is the article after redirects and plural forms
     async function checkTermsExist(terms) {
-        if (terms.length === 0) return new Set();
+        if (terms.length === 0) return new Map();
 
-        const titles = terms.join('|');
-        const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(titles)}&format=json&origin=*`;
+        const resolved = await WLH.createTitleResolver().resolve(terms);
+        const existing = new Map();
 
-        try {
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const existing = new Set();
+        resolved.forEach((record, term) => {
+            if (record.exists) {
+                existing.set(term.toLowerCase(), record);
+            }
+        });
 
-            Object.values(data.query.pages).forEach(page => {
-                if (page.pageid) {
-                    existing.add(page.title.toLowerCase());
-                }
-            });
+        return existing;
+    }
 
-            return existing;
-        } catch (e) {
-            console.error('Error checking terms:', e);
-            return new Set();
-        }
+    // The article a term links to, the term itself if it was not resolved
+    function targetOf(term) {
+        const data = relevantTerms.get(term.toLowerCase());
+        return data ? data.title : term;
     }
 
     // ==================== WORD DETECTION ====================
 
+    // Candidate terms in any script, existing wikilinks are skipped
     function extractWords(text) {
-        const words = new Set();
-        
-        // Remove existing wikilinks
-        text = text.replace(/\[\[.*?\]\]/g, '');
-        
-        // Single capitalized words (4+ chars)
-        (text.match(/\b[A-Z][a-z]{3,}\b/g) || []).forEach(w => words.add(w));
-        
-        // Two-word phrases
-        (text.match(/\b[A-Z][a-z]+\s+[A-Z][a-z]+\b/g) || []).forEach(w => words.add(w));
-        
-        // Three-word phrases
-        (text.match(/\b[A-Z][a-z]+\s+[A-Z][a-z]+\s+[A-Z][a-z]+\b/g) || []).forEach(w => words.add(w));
-        
-        return Array.from(words);
+        return WLH.extractCandidates(text, {
+            articleTitle: currentArticle,
+            exclusions,
+            locale: document.documentElement.lang
+        });
     }
 
     function trackWordOccurrences(text, paragraphIndex) {
         const words = extractWords(text);
-        
-        words.forEach(word => {
-            const lower = word.toLowerCase();
-            const regex = new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-            let match;
-            
-            while ((match = regex.exec(text)) !== null) {
-                if (!wordOccurrences.has(lower)) {
-                    wordOccurrences.set(lower, { count: 0, positions: [] });
-                }
-                const data = wordOccurrences.get(lower);
-                data.count++;
-                data.positions.push({ para: paragraphIndex, offset: match.index });
-                wordOccurrences.set(lower, data);
+        const matcher = WLH.createMatcher(new Map(words.map(word => [word.toLowerCase(), word])));
+
+        matcher.findAll(text).forEach(match => {
+            if (!wordOccurrences.has(match.key)) {
+                wordOccurrences.set(match.key, { count: 0, positions: [] });
             }
+            const data = wordOccurrences.get(match.key);
+            data.count++;
+            data.positions.push({ para: paragraphIndex, offset: match.start });
         });
     }
 
@@ -280,7 +237,8 @@
         console.log('🔍 Analyzing article for relevant terms...');
         
         updateStatus('Fetching article links...');
-        const articleLinks = await fetchArticleLinks();
+        const neighbourhood = await fetchNeighbourhood();
+        exclusions = await WLH.loadExclusions();
         
         updateStatus('Querying Wikidata...');
         qid = await getWikidataQID();
@@ -288,18 +246,23 @@
         
         updateStatus('Analyzing text...');
         
-        // Get all text from article or textarea
+        // Get all text from the article, the textarea or the VisualEditor document
         let allText = '';
-        const paragraphs = isEditMode 
-            ? [document.getElementById('wpTextbox1')]
-            : Array.from(document.querySelectorAll('#mw-content-text p'));
+        const veSurface = WLH.getVisualEditorSurface();
+        let texts;
+        if (veSurface) {
+            texts = WLH.readVisualEditorModel(veSurface.getModel()).paragraphs.map(p => p.text);
+        } else if (isEditMode) {
+            // The textarea or CodeMirror, whose text the hidden textarea only gets on submit
+            const editor = WLH.getEditor();
+            texts = editor ? [WLH.parseWikitext(editor.getText()).text] : [];
+        } else {
+            texts = Array.from(document.querySelectorAll('#mw-content-text p'), p => p.textContent);
+        }
         
-        paragraphs.forEach((p, idx) => {
-            if (p) {
-                const text = isEditMode ? p.value : p.textContent;
-                allText += text + '\n';
-                trackWordOccurrences(text, idx);
-            }
+        texts.forEach((text, idx) => {
+            allText += text + '\n';
+            trackWordOccurrences(text, idx);
         });
 
         const allWords = extractWords(allText);
@@ -307,30 +270,20 @@
 
         updateStatus('Checking Wikipedia...');
         
-        // Check existence in batches
-        const batches = [];
-        for (let i = 0; i < allWords.length; i += CONFIG.batchSize) {
-            batches.push(allWords.slice(i, i + CONFIG.batchSize));
-        }
-
-        const existingTerms = new Set();
-        for (const batch of batches) {
-            const existing = await checkTermsExist(batch);
-            existing.forEach(t => existingTerms.add(t));
-            await new Promise(r => setTimeout(r, CONFIG.delay));
-        }
+        const existingTerms = await checkTermsExist(allWords);
 
         // Calculate relevance scores
         updateStatus('Calculating relevance...');
         
-        existingTerms.forEach(term => {
-            const score = calculateRelevance(term, articleLinks, wikidataEntities);
+        existingTerms.forEach((record, term) => {
+            const score = calculateRelevance(term, neighbourhood, wikidataEntities);
             if (score >= CONFIG.minRelevanceScore) {
                 const occurrences = wordOccurrences.get(term);
                 relevantTerms.set(term, {
                     score: score,
                     count: occurrences ? occurrences.count : 1,
-                    positions: occurrences ? occurrences.positions : []
+                    positions: occurrences ? occurrences.positions : [],
+                    title: record.title
                 });
             }
         });
@@ -419,7 +372,21 @@
     }
 
     function applyHighlights() {
-        if (isEditMode) return; // Don't highlight in edit textarea, use side panel instead
+        const veSurface = WLH.getVisualEditorSurface();
+        if (veSurface) {
+            highlightVisualEditor(veSurface);
+            return;
+        }
+        if (isEditMode) {
+            // Marks inside CodeMirror; a plain textarea cannot show any, the side panel lists the terms
+            const editor = WLH.getEditor();
+            if (editor) {
+                injectEditorStyle();
+                const matcher = WLH.createMatcher(new Map(Array.from(relevantTerms, ([term, data]) => [term, { title: data.title }])));
+                editor.mark(WLH.findWikitextOccurrences(editor.getText(), matcher).filter(o => o.plain), 'wlh-editor-suggestion');
+            }
+            return;
+        }
         
         const paragraphs = document.querySelectorAll('#mw-content-text p');
         paragraphs.forEach(p => {
@@ -429,6 +396,30 @@
         });
     }
 
+    // VisualEditor: suggestions drawn over the surface, never part of the document
+    function visualEditorOccurrences(veSurface, terms) {
+        const matcher = WLH.createMatcher(new Map(terms.map(term => [term, { title: targetOf(term) }])));
+        return WLH.findVisualEditorOccurrences(WLH.readVisualEditorModel(veSurface.getModel()), matcher);
+    }
+
+    // Suggestions inside the editors: VisualEditor's drawn selections and CodeMirror marks
+    function injectEditorStyle() {
+        if (document.getElementById('wlh-editor-style')) return;
+        const style = document.createElement('style');
+        style.id = 'wlh-editor-style';
+        style.textContent = `.wlh-ve-suggestion .ve-ce-surface-selection-rect, .wlh-editor-suggestion {
+            background: ${CONFIG.highlightColor};
+            border-bottom: 2px solid ${CONFIG.borderColor};
+        }`;
+        document.head.appendChild(style);
+    }
+
+    function highlightVisualEditor(veSurface) {
+        injectEditorStyle();
+        if (!veHighlighter) veHighlighter = WLH.createVisualEditorHighlighter(veSurface);
+        veHighlighter.show(visualEditorOccurrences(veSurface, Array.from(relevantTerms.keys())));
+    }
+
     // ==================== UI COMPONENTS ====================
 
     function updateStatus(message) {
@@ -501,6 +492,9 @@
                 document.querySelectorAll('[data-hl]').forEach(el => {
                     el.replaceWith(el.textContent);
                 });
+                if (veHighlighter) veHighlighter.clear();
+                const editor = isEditMode && WLH.getEditor();
+                if (editor) editor.clearMarks();
             }
         });
 
@@ -570,18 +564,35 @@
     }
 
     function handleTermClick(term) {
-        if (isEditMode) {
-            // Add brackets in edit mode
-            const textarea = document.getElementById('wpTextbox1');
-            if (textarea) {
-                const wikilink = `[[${term}]]`;
+        const target = targetOf(term);
+        const veSurface = WLH.getVisualEditorSurface();
+        if (veSurface) {
+            // Link the first occurrence to the resolved article, spelled as in the text (undoable in VisualEditor)
+            const occurrence = visualEditorOccurrences(veSurface, [term])[0];
+            if (occurrence) {
+                if (!veHighlighter) veHighlighter = WLH.createVisualEditorHighlighter(veSurface);
+                veHighlighter.link(occurrence, target);
+                showToast(`Linked: ${WLH.buildWikilink(target, occurrence.text)}`);
+                if (highlightsEnabled) highlightVisualEditor(veSurface);
+            }
+        } else if (isEditMode) {
+            // Link the first occurrence in the editor, spelled as in the text (undoable with Ctrl+Z)
+            const editor = WLH.getEditor();
+            if (editor) {
+                const inserted = WLH.linkOccurrence(editor, term, target);
+                if (inserted) {
+                    showToast(`Linked: ${inserted.wikilink}`);
+                    if (highlightsEnabled) applyHighlights();
+                    return;
+                }
+                const wikilink = WLH.buildWikilink(target, term);
                 navigator.clipboard.writeText(wikilink).then(() => {
                     showToast(`Copied: ${wikilink}`);
                 });
             }
         } else {
             // Navigate in read mode
-            const url = `${window.location.origin}/wiki/${encodeURIComponent(term.replace(/ /g, '_'))}`;
+            const url = `${window.location.origin}/wiki/${encodeURIComponent(target.replace(/ /g, '_'))}`;
             window.open(url, '_blank');
         }
     }
@@ -616,16 +627,17 @@
     document.addEventListener('click', (e) => {
         if (e.target.dataset.hl !== undefined) {
             const term = e.target.dataset.term;
+            const target = targetOf(term);
             
             if (isEditMode) {
                 // Double-click to add brackets
-                const wikilink = `[[${term}]]`;
+                const wikilink = WLH.buildWikilink(target, term);
                 navigator.clipboard.writeText(wikilink).then(() => {
                     showToast(`Copied: ${wikilink}`);
                 });
             } else {
                 // Navigate
-                const url = `${window.location.origin}/wiki/${encodeURIComponent(term.replace(/ /g, '_'))}`;
+                const url = `${window.location.origin}/wiki/${encodeURIComponent(target.replace(/ /g, '_'))}`;
                 if (e.ctrlKey || e.metaKey) {
                     window.open(url, '_blank');
                 } else {
@@ -658,9 +670,25 @@
         // Auto-analyze
         await analyzeAndBuildTermList();
         
-        if (!isEditMode && highlightsEnabled) {
+        if (highlightsEnabled) {
             applyHighlights();
         }
+
+        // VisualEditor opens without a page load: analyze its document once it is ready
+        if (window.mw && mw.hook) {
+            mw.hook('ve.activationComplete').add(async () => {
+                isEditMode = true;
+                veHighlighter = null;
+                relevantTerms.clear();
+                wordOccurrences.clear();
+                await analyzeAndBuildTermList();
+                if (highlightsEnabled) applyHighlights();
+            });
+            mw.hook('ve.deactivationComplete').add(() => {
+                isEditMode = checkEditMode();
+                veHighlighter = null;
+            });
+        }
     }
 
     if (document.readyState === 'loading') {
@@ -1,30 +1,40 @@
 // ==UserScript==
 // @name         Highlight Unlinked Existing Terms
 // @description  Highlights words in Wikipedia articles that are not linked but already have their own articles.
-// @version      7.0
+// @version      7.16
 // @author       Riddhi
 // @match        *://*.wikipedia.org/wiki/*
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 (function() {
     'use strict';
 
+    const WLH = window.WikiLinkHighlighter;
+
     // Configuration
-    const CONFIG = {
+    const CONFIG = WLH.createConfig({
         highlightColor: 'rgba(255, 235, 59, 0.3)',
         borderColor: '#ffc107',
+        ambiguousColor: 'rgba(255, 152, 0, 0.15)',
+        ambiguousBorderColor: '#ff9800',
         minWordLength: 4,
-        batchSize: 15,
-        delay: 200
-    };
+        // MOS:LINKONCE: 'first-in-article' (lead and body separately), 'first-per-section' or 'all'
+        linkPolicy: 'first-in-article'
+    });
 
     let relevantTerms = new Map();
     let currentArticle = '';
     let isEditMode = false;
     let highlightsEnabled = true;
-    let wordOccurrences = new Map();
     let sidePanel = null;
     let isProcessing = false;
+    let neighbourhood = null;
+    let liveAnalysis = null; // Edit mode: re-analyzes the paragraphs that change while typing
+    const acceptedTerms = new Set(); // Linked from the side panel, kept across re-analyses
+    const dismissedTerms = new Set(); // Never suggested again on this page
+    const resolver = WLH.createTitleResolver();
+    const highlightLayer = WLH.createHighlightLayer({ createMark: createMark });
 
     // ==================== UTILITY FUNCTIONS ====================
 
@@ -32,134 +42,11 @@
         console.log(`[WikiHelper] ${message}`);
     }
 
-    function getArticleTitle() {
-        const title = document.getElementById('firstHeading');
-        if (!title) return '';
-        return title.textContent.trim().replace(/\s*\[edit\]\s*$/i, '');
-    }
-
     function checkEditMode() {
         return document.getElementById('wpTextbox1') !== null || 
                window.location.search.includes('action=edit');
     }
 
-    function shouldExclude(word) {
-        const lower = word.toLowerCase();
-        const articleLower = currentArticle.toLowerCase();
-        
-        // Exclude current article
-        if (lower === articleLower) return true;
-        if (articleLower.includes(lower) || lower.includes(articleLower)) return true;
-        
-        // Exclude common words
-        const exclude = ['january', 'february', 'march', 'april', 'may', 'june', 
-                        'july', 'august', 'september', 'october', 'november', 'december',
-                        'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
-                        'the', 'and', 'or', 'but', 'with', 'from', 'this', 'that', 'these', 'those',
-                        'wikipedia', 'retrieved', 'archived', 'original', 'external', 'references'];
-        
-        if (exclude.includes(lower)) return true;
-        
-        // Exclude numbers
-        if (/^\d+$/.test(word)) return true;
-        
-        return false;
-    }
-
-    // ==================== FETCH ARTICLE DATA ====================
-
-    async function fetchArticleLinks() {
-        try {
-            const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(currentArticle)}&prop=links&format=json&origin=*&pllimit=500`;
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            const pages = data.query.pages;
-            const pageId = Object.keys(pages)[0];
-
-            const links = new Set();
-            if (pageId !== '-1' && pages[pageId].links) {
-                pages[pageId].links.forEach(link => {
-                    const term = link.title.replace(/_/g, ' ');
-                    if (!term.includes(':')) {
-                        links.add(term.toLowerCase());
-                    }
-                });
-            }
-            
-            log(`Fetched ${links.size} article links`);
-            return links;
-        } catch (e) {
-            log('Error fetching article links: ' + e);
-            return new Set();
-        }
-    }
-
-    async function checkTermsExist(terms) {
-        if (terms.length === 0) return new Map();
-
-        try {
-            const titles = terms.join('|');
-            const apiUrl = `${window.location.origin}/w/api.php?action=query&titles=${encodeURIComponent(titles)}&format=json&origin=*`;
-            const response = await fetch(apiUrl);
-            const data = await response.json();
-            
-            const existing = new Map();
-            Object.values(data.query.pages).forEach(page => {
-                if (page.pageid) {
-                    existing.set(page.title.toLowerCase(), page.title);
-                }
-            });
-
-            return existing;
-        } catch (e) {
-            log('Error checking terms: ' + e);
-            return new Map();
-        }
-    }
-
-    // ==================== WORD EXTRACTION ====================
-
-    function extractWords(text) {
-        const words = new Set();
-        
-        // Remove existing wikilinks
-        text = text.replace(/\[\[.*?\]\]/g, '');
-        
-        // Single capitalized words
-        (text.match(/\b[A-Z][a-z]{3,}\b/g) || []).forEach(w => {
-            if (!shouldExclude(w)) words.add(w);
-        });
-        
-        // Two-word phrases
-        (text.match(/\b[A-Z][a-z]+\s+[A-Z][a-z]+\b/g) || []).forEach(w => {
-            if (!shouldExclude(w)) words.add(w);
-        });
-        
-        // Three-word phrases
-        (text.match(/\b[A-Z][a-z]+\s+[A-Z][a-z]+\s+[A-Z][a-z]+\b/g) || []).forEach(w => {
-            if (!shouldExclude(w)) words.add(w);
-        });
-        
-        return Array.from(words);
-    }
-
-    function trackOccurrences(text) {
-        const words = extractWords(text);
-        
-        words.forEach(word => {
-            const lower = word.toLowerCase();
-            const regex = new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-            const matches = text.match(regex);
-            
-            if (matches) {
-                if (!wordOccurrences.has(lower)) {
-                    wordOccurrences.set(lower, 0);
-                }
-                wordOccurrences.set(lower, wordOccurrences.get(lower) + matches.length);
-            }
-        });
-    }
-
     // ==================== ANALYSIS ====================
 
     async function analyzeArticle() {
@@ -169,182 +56,186 @@
         updateStatus('🔍 Analyzing...');
         log('Starting analysis...');
         
-        // Clear previous data
-        relevantTerms.clear();
-        wordOccurrences.clear();
+        // Edit mode reads the textarea or CodeMirror, whose text the hidden textarea only gets on submit
+        const editor = isEditMode ? WLH.getEditor() : null;
+        const texts = isEditMode ? []
+            : Array.from(document.querySelectorAll('#mw-content-text p')).map(p => WLH.createTextModel(p).text);
         
-        // Get text
-        let allText = '';
-        if (isEditMode) {
-            const textarea = document.getElementById('wpTextbox1');
-            if (textarea) {
-                allText = textarea.value;
-            }
-        } else {
-            const paragraphs = document.querySelectorAll('#mw-content-text p');
-            paragraphs.forEach(p => {
-                allText += p.textContent + '\n';
-            });
-        }
-        
-        if (!allText.trim()) {
+        if (editor ? !editor.getText().trim() : !texts.join('').trim()) {
             updateStatus('❌ No text found');
             isProcessing = false;
             return;
         }
         
-        // Track occurrences
-        trackOccurrences(allText);
-        log(`Tracked ${wordOccurrences.size} unique words`);
-        
-        // Fetch article links
+        // Fetch what the article links to, what links back and its templates
         updateStatus('📡 Fetching links...');
-        const articleLinks = await fetchArticleLinks();
-        
-        // Get all candidate words
-        const allWords = extractWords(allText);
-        log(`Found ${allWords.length} candidate words`);
+        neighbourhood = await WLH.fetchArticleNeighbourhood(currentArticle, {
+            linksHere: true,
+            templates: true
+        });
+        log(`Fetched ${neighbourhood.links.size} article links, ${neighbourhood.linksHere.size} backlinks`);
         
-        // Check existence in batches
+        // Check existence
         updateStatus('✅ Checking Wikipedia...');
-        const batches = [];
-        for (let i = 0; i < allWords.length; i += CONFIG.batchSize) {
-            batches.push(allWords.slice(i, i + CONFIG.batchSize));
+        if (editor) {
+            // Paragraph by paragraph, then again for each paragraph that changes while typing
+            if (liveAnalysis) liveAnalysis.stop();
+            liveAnalysis = WLH.createLiveAnalysis(editor, {
+                analyze: analyzeParagraphs,
+                onUpdate: applyLiveUpdate
+            });
+            await liveAnalysis.refresh();
+        } else {
+            // Terms already linked in the rendered article are not suggestions
+            const content = document.getElementById('mw-content-text');
+            const terms = await WLH.findLinkableTerms(texts, {
+                articleTitle: currentArticle,
+                minWordLength: CONFIG.minWordLength,
+                linked: content ? WLH.collectLinkedTitles(content) : new Set(),
+                neighbourhood,
+                resolver,
+                // The link policy marks occurrences after an existing link itself
+                keepLinked: CONFIG.linkPolicy !== 'all'
+            });
+            setRelevantTerms(terms);
+            if (highlightsEnabled) {
+                applyHighlights();
+            }
         }
         
-        let processed = 0;
-        for (const batch of batches) {
-            const existing = await checkTermsExist(batch);
+        isProcessing = false;
+        updateStatus(`✅ Found ${countSuggestions()} terms`);
+    }
+
+    // Paragraphs of wikitext prose, checked together; the whole prose is the context for sentence starts.
+    // No link policy in edit mode: whatever the wikitext links already is not a suggestion
+    function analyzeParagraphs(texts, { context, wikitext }) {
+        return WLH.findLinkableTermsPerText(texts, {
+            articleTitle: currentArticle,
+            minWordLength: CONFIG.minWordLength,
+            linked: WLH.collectWikitextLinks(wikitext),
+            neighbourhood,
+            resolver,
+            context
+        });
+    }
+
+    function applyLiveUpdate({ wikitext, paragraphs, changed }) {
+        // Paragraphs analyzed before a link was added elsewhere still list its term
+        const linked = WLH.collectWikitextLinks(wikitext);
+        const terms = new Map(Array.from(WLH.mergeLinkableTerms(paragraphs.map(paragraph => paragraph.result)))
+            .filter(([lower, term]) => !linked.has(lower) && !linked.has(term.title.toLowerCase())));
+        if (changed.length) log(`Analyzed ${changed.length} of ${paragraphs.length} paragraphs`);
+        setRelevantTerms(terms);
+        if (highlightsEnabled) markEditor();
+        updateStatus(`✅ Found ${countSuggestions()} terms`);
+    }
+
+    function setRelevantTerms(terms) {
+        relevantTerms.clear();
+        
+        terms.forEach((term, lowerTerm) => {
+            if (dismissedTerms.has(lowerTerm)) return;
             
-            existing.forEach((originalTerm, lowerTerm) => {
-                // Calculate relevance score
-                let score = 0;
-                
-                // High relevance: in article's links
-                if (articleLinks.has(lowerTerm)) {
-                    score += 0.8;
-                } else {
-                    score += 0.3; // Base score for existing Wikipedia article
-                }
-                
-                // Bonus for multiple occurrences
-                const occurrences = wordOccurrences.get(lowerTerm) || 1;
-                if (occurrences > 1) {
-                    score += Math.min(0.2, occurrences * 0.05);
-                }
-                
-                relevantTerms.set(lowerTerm, {
-                    original: originalTerm,
-                    score: score,
-                    count: occurrences
-                });
-            });
+            // Calculate relevance score
+            let score = 0;
             
-            processed += batch.length;
-            updateStatus(`✅ Checked ${processed}/${allWords.length}...`);
+            // Base score for existing Wikipedia article, more if it links back or has a navbox here
+            score += 0.3 + term.relatedness;
             
-            await new Promise(r => setTimeout(r, CONFIG.delay));
-        }
+            // Bonus for multiple occurrences
+            if (term.count > 1) {
+                score += Math.min(0.2, term.count * 0.05);
+            }
+            
+            // Only ever capitalized at the start of a sentence: possibly a plain word
+            if (term.sentenceInitial) {
+                score -= 0.2;
+            }
+            
+            relevantTerms.set(lowerTerm, {
+                original: term.surface,
+                title: term.title,
+                redirectFrom: term.redirectFrom,
+                disambiguation: term.disambiguation,
+                options: term.options,
+                // Acronym defined in the text: linked through what it stands for
+                expansion: term.expansion,
+                score: score,
+                count: term.count,
+                // Already linked: only there for the link policy, not a suggestion
+                linked: term.linked
+            });
+        });
         
-        log(`Found ${relevantTerms.size} relevant terms`);
+        log(`Found ${countSuggestions()} relevant terms`);
         updateSidePanel();
-        
-        if (!isEditMode && highlightsEnabled) {
-            applyHighlights();
-        }
-        
-        isProcessing = false;
-        updateStatus(`✅ Found ${relevantTerms.size} terms`);
+    }
+
+    function countSuggestions() {
+        return Array.from(relevantTerms.values()).filter(data => !data.linked).length;
     }
 
     // ==================== HIGHLIGHTING ====================
 
     function applyHighlights() {
         const paragraphs = document.querySelectorAll('#mw-content-text p');
+        const matcher = WLH.createMatcher(relevantTerms);
         
+        // Start from the untouched article so a refresh never stacks highlights
+        highlightLayer.clear();
+        const policy = WLH.createLinkPolicy(document.getElementById('mw-content-text'), {
+            mode: CONFIG.linkPolicy,
+            selector: 'p'
+        });
         paragraphs.forEach(p => {
-            if (p.dataset.highlighted) return;
             if (p.textContent.trim().length < 50) return;
             
-            highlightInElement(p);
-            p.dataset.highlighted = 'true';
+            highlightLayer.highlight(p, matcher, { policy });
         });
     }
 
-    function highlightInElement(element) {
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: (node) => {
-                    if (node.parentElement.tagName === 'A' || 
-                        node.parentElement.closest('[data-hl]')) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    return NodeFilter.FILTER_ACCEPT;
-                }
-            }
-        );
-
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
+    // Edit mode: mark the first occurrence of each term inside the editor (CodeMirror only,
+    // a plain textarea cannot show marks). Terms linked from the panel are done.
+    function markEditor() {
+        const editor = WLH.getEditor();
+        if (!editor) return;
+        if (!document.getElementById('wiki-editor-style')) {
+            const style = document.createElement('style');
+            style.id = 'wiki-editor-style';
+            style.textContent = `.wiki-editor-suggestion {
+                background: ${CONFIG.highlightColor};
+                border-bottom: 2px solid ${CONFIG.borderColor};
+            }`;
+            document.head.appendChild(style);
         }
-
-        textNodes.forEach(textNode => {
-            highlightTextNode(textNode);
-        });
+        const seen = new Set();
+        const ranges = WLH.findWikitextOccurrences(editor.getText(), WLH.createMatcher(relevantTerms))
+            .filter(occurrence => occurrence.plain && !acceptedTerms.has(occurrence.key) &&
+                !seen.has(occurrence.key) && seen.add(occurrence.key));
+        editor.mark(ranges, 'wiki-editor-suggestion');
     }
 
-    function highlightTextNode(textNode) {
-        const text = textNode.textContent;
-        const matches = [];
-
-        relevantTerms.forEach((data, lowerTerm) => {
-            const original = data.original;
-            const regex = new RegExp(`\\b(${original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})\\b`, 'gi');
-            let match;
-            
-            while ((match = regex.exec(text)) !== null) {
-                matches.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: match[0],
-                    count: data.count
-                });
-            }
-        });
-
-        if (matches.length === 0) return;
-
-        matches.sort((a, b) => a.start - b.start);
-        const validMatches = [];
+    function createMark(match) {
+        const mark = WLH.createMark(match, CONFIG);
+        // Later occurrence under the link policy: only a dotted underline, the tooltip says why
+        if (mark.dataset.repeat) {
+            mark.style.cssText = `border-bottom: 1px dotted ${CONFIG.borderColor}; cursor: help;`;
+            return mark;
+        }
+        mark.style.cssText = match.data.disambiguation
+            ? `background: ${CONFIG.ambiguousColor}; border-bottom: 2px dashed ${CONFIG.ambiguousBorderColor}; cursor: pointer; padding: 1px 2px; border-radius: 2px;`
+            : `background: ${CONFIG.highlightColor}; border-bottom: 2px solid ${CONFIG.borderColor}; cursor: pointer; padding: 1px 2px; border-radius: 2px;`;
         
-        for (const m of matches) {
-            const overlaps = validMatches.some(v => 
-                (m.start >= v.start && m.start < v.end) ||
-                (m.end > v.start && m.end <= v.end)
-            );
-            if (!overlaps) validMatches.push(m);
+        // Only after the last part of a term split by inline markup
+        const isLastPart = !match.part || match.part.index === match.part.count - 1;
+        if (match.data.count > 1 && isLastPart) {
+            const badge = document.createElement('sup');
+            badge.style.cssText = 'font-size: 9px; color: #666; margin-left: 2px;';
+            badge.textContent = match.data.count;
+            mark.appendChild(badge);
         }
-
-        if (validMatches.length === 0) return;
-
-        let html = '';
-        let lastIdx = 0;
-
-        validMatches.forEach(m => {
-            html += text.substring(lastIdx, m.start);
-            const countBadge = m.count > 1 ? `<sup style="font-size: 9px; color: #666; margin-left: 2px;">${m.count}</sup>` : '';
-            html += `<span data-hl data-term="${m.text}" style="background: ${CONFIG.highlightColor}; border-bottom: 2px solid ${CONFIG.borderColor}; cursor: pointer; padding: 1px 2px; border-radius: 2px;" title="Click to use this term">${m.text}${countBadge}</span>`;
-            lastIdx = m.end;
-        });
-        html += text.substring(lastIdx);
-
-        const wrapper = document.createElement('span');
-        wrapper.innerHTML = html;
-        textNode.parentNode.replaceChild(wrapper, textNode);
+        return mark;
     }
 
     // ==================== UI ====================
@@ -408,16 +299,18 @@
             highlightsEnabled = !highlightsEnabled;
             document.getElementById('toggleHL').textContent = highlightsEnabled ? '👁️' : '🚫';
             
+            const editor = isEditMode && WLH.getEditor();
             if (highlightsEnabled) {
                 applyHighlights();
+                if (editor) markEditor();
             } else {
-                document.querySelectorAll('[data-hl]').forEach(el => {
-                    const text = el.textContent;
-                    el.replaceWith(text);
-                });
+                highlightLayer.remove();
+                if (editor) editor.clearMarks();
             }
         });
 
+        document.getElementById('term-list').addEventListener('click', handleTermListClick);
+
         // Refresh
         document.getElementById('refreshBtn').addEventListener('click', () => {
             analyzeArticle();
@@ -433,60 +326,154 @@
         }
     }
 
+    // Updated in place, item by item: a re-analysis while typing keeps the list where it was
     function updateSidePanel() {
         const list = document.getElementById('term-list');
         if (!list) return;
 
-        if (relevantTerms.size === 0) {
+        const suggestions = Array.from(relevantTerms.entries()).filter(([, data]) => !data.linked);
+        if (suggestions.length === 0) {
             list.innerHTML = '<div style="text-align: center; color: #999; padding: 30px 10px;">No relevant terms found</div>';
             return;
         }
 
-        const sorted = Array.from(relevantTerms.entries())
-            .sort((a, b) => b[1].score - a[1].score);
+        let hint = document.getElementById('term-hint');
+        if (!hint) {
+            list.innerHTML = `<div id="term-hint" style="font-size: 11px; color: #666; margin-bottom: 8px; padding: 0 4px;">${isEditMode ? 'Click term to link it, × to dismiss' : 'Click term to copy [[link]]'}</div>`;
+            hint = list.firstChild;
+        }
+
+        const sorted = suggestions.sort((a, b) => b[1].score - a[1].score);
+        const items = new Map(Array.from(list.querySelectorAll('.term-item'), item => [item.dataset.key, item]));
 
-        let html = '<div style="font-size: 11px; color: #666; margin-bottom: 8px; padding: 0 4px;">Click term to copy [[link]]</div>';
-        
         sorted.forEach(([lowerTerm, data]) => {
-            const scorePercent = Math.round(data.score * 100);
-            const color = scorePercent > 70 ? '#28a745' : scorePercent > 50 ? '#ffc107' : '#6c757d';
-            
-            html += `
-                <div class="term-item" data-term="${data.original}" style="
-                    margin: 6px 0;
-                    padding: 8px 10px;
-                    background: #f8f9fa;
-                    border-left: 3px solid ${color};
-                    border-radius: 3px;
-                    cursor: pointer;
-                    font-size: 12px;
-                    transition: background 0.2s;
-                " onmouseover="this.style.background='#e9ecef'" onmouseout="this.style.background='#f8f9fa'">
-                    <div style="display: flex; justify-content: space-between; align-items: center;">
-                        <strong style="color: #0645ad;">${data.original}</strong>
-                        <span style="font-size: 10px; background: rgba(6,69,173,0.1); padding: 2px 5px; border-radius: 2px;">
-                            ${data.count}x
-                        </span>
-                    </div>
-                    <div style="font-size: 10px; color: #666; margin-top: 2px;">
-                        Relevance: ${scorePercent}%
-                    </div>
-                </div>
-            `;
+            const fresh = renderTermItem(lowerTerm, data);
+            const item = items.get(lowerTerm);
+            items.delete(lowerTerm);
+            const unchanged = item && item.dataset.signature === fresh.dataset.signature;
+            if (item && !unchanged) item.remove();
+            // Appending moves the item to its place; an unchanged one is not rebuilt
+            list.appendChild(unchanged ? item : fresh);
         });
+        items.forEach(item => item.remove());
+    }
 
-        list.innerHTML = html;
-
-        // Add click handlers
-        document.querySelectorAll('.term-item').forEach(item => {
-            item.addEventListener('click', function() {
-                const term = this.dataset.term;
-                const wikilink = `[[${term}]]`;
-                
-                navigator.clipboard.writeText(wikilink).then(() => {
-                    showToast(`✓ Copied: ${wikilink}`);
-                });
-            });
+    function renderTermItem(lowerTerm, data) {
+        const scorePercent = Math.round(data.score * 100);
+        const accepted = acceptedTerms.has(lowerTerm);
+        const color = accepted ? '#28a745' : data.disambiguation ? CONFIG.ambiguousBorderColor :
+            scorePercent > 70 ? '#28a745' : scorePercent > 50 ? '#ffc107' : '#6c757d';
+        const ambiguousBadge = data.disambiguation
+            ? `<span style="font-size: 9px; background: ${CONFIG.ambiguousBorderColor}; color: white; padding: 1px 4px; border-radius: 2px; margin-left: 4px;">ambiguous</span>`
+            : '';
+        const acceptedBadge = accepted
+            ? '<span style="font-size: 9px; background: #28a745; color: white; padding: 1px 4px; border-radius: 2px; margin-left: 4px;">✓ linked</span>'
+            : '';
+        const options = data.disambiguation ? data.options.slice(0, CONFIG.maxDisambiguationOptions) : [];
+
+        const item = document.createElement('div');
+        item.className = 'term-item';
+        item.dataset.key = lowerTerm;
+        item.dataset.term = data.title;
+        item.dataset.surface = data.original;
+        if (data.disambiguation) item.dataset.disambiguation = 'true';
+        item.dataset.signature = [data.title, data.expansion, data.count, scorePercent, accepted, options.join('|')].join('\n');
+        item.style.cssText = `
+            margin: 6px 0;
+            padding: 8px 10px;
+            background: #f8f9fa;
+            border-left: 3px solid ${color};
+            border-radius: 3px;
+            cursor: pointer;
+            font-size: 12px;
+            transition: background 0.2s;
+            ${accepted ? 'opacity: 0.6;' : ''}
+        `;
+        item.setAttribute('onmouseover', "this.style.background='#e9ecef'");
+        item.setAttribute('onmouseout', "this.style.background='#f8f9fa'");
+        item.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <strong class="term-surface" style="color: #0645ad;"></strong>${data.title !== data.original ? ' <span class="term-target" style="color: #666;"></span>' : ''}${ambiguousBadge}${acceptedBadge}
+                <span style="font-size: 10px; background: rgba(6,69,173,0.1); padding: 2px 5px; border-radius: 2px;">
+                    ${data.count}x
+                </span>
+                <span class="term-dismiss" title="Dismiss" style="color: #999; margin-left: 6px; font-size: 14px;">×</span>
+            </div>
+            ${data.expansion ? '<div class="term-expansion" style="font-size: 10px; color: #666; margin-top: 2px;"></div>' : ''}
+            <div style="font-size: 10px; color: #666; margin-top: 2px;">
+                Relevance: ${scorePercent}%
+            </div>
+        `;
+        // Terms and titles go in as text, never parsed as HTML
+        item.querySelector('.term-surface').textContent = data.original;
+        const target = item.querySelector('.term-target');
+        if (target) target.textContent = `→ ${data.title}`;
+        if (data.expansion) item.querySelector('.term-expansion').textContent = `Stands for “${data.expansion}” in this article`;
+        if (options.length) item.appendChild(renderOptionList(options));
+        return item;
+    }
+
+    function renderOptionList(options) {
+        const list = document.createElement('div');
+        list.style.cssText = 'margin-top: 4px; font-size: 11px;';
+        list.textContent = 'Link instead: ';
+        options.forEach(option => {
+            const link = document.createElement('a');
+            link.className = 'term-option';
+            link.dataset.term = option;
+            link.style.cssText = 'color: #0645ad; cursor: pointer; margin-right: 6px;';
+            link.textContent = option;
+            list.appendChild(link);
+        });
+        return list;
+    }
+
+    // One handler for the whole list, items come and go with each re-analysis
+    function handleTermListClick(e) {
+        const item = e.target.closest('.term-item');
+        if (!item) return;
+
+        if (e.target.closest('.term-dismiss')) {
+            dismissedTerms.add(item.dataset.key);
+            relevantTerms.delete(item.dataset.key);
+            updateSidePanel();
+            if (highlightsEnabled) {
+                if (isEditMode) markEditor();
+                else applyHighlights();
+            }
+            return;
+        }
+
+        // Disambiguation entries copy the specific article picked from the option list
+        const option = e.target.closest('.term-option');
+        if (item.dataset.disambiguation && !option) {
+            showToast('⚠️ Ambiguous term: pick one of the listed articles');
+            return;
+        }
+        addWikilink(option ? option.dataset.term : item.dataset.term, item.dataset.surface);
+    }
+
+    // Edit mode: link an occurrence in the prose of the editor (undoable with Ctrl+Z), the first one
+    // unless a wikitext occurrence is given. Read mode, a term that only occurs in markup, or a clicked
+    // occurrence that is formatted or not found in the wikitext (null): copy the wikilink instead.
+    function addWikilink(target, surface, occurrence) {
+        const editor = isEditMode && WLH.getEditor();
+        let inserted = null;
+        if (editor && occurrence === undefined) {
+            inserted = WLH.linkOccurrence(editor, surface, target);
+        } else if (editor && occurrence && occurrence.plain) {
+            inserted = WLH.insertWikilink(editor, occurrence.start, occurrence.end, target);
+        }
+        if (inserted) {
+            showToast(`✓ Linked: ${inserted.wikilink}`);
+            acceptedTerms.add(surface.toLowerCase());
+            updateSidePanel();
+            if (highlightsEnabled) markEditor();
+            return;
+        }
+        const wikilink = WLH.buildWikilink(target, surface);
+        navigator.clipboard.writeText(wikilink).then(() => {
+            showToast(`✓ Copied: ${wikilink}`);
         });
     }
 
@@ -522,14 +509,16 @@
     // ==================== EVENT HANDLERS ====================
 
     document.addEventListener('click', (e) => {
-        if (e.target.dataset.hl !== undefined) {
-            const term = e.target.dataset.term;
+        const mark = e.target.closest('[data-wlh]');
+        if (mark) {
+            const term = mark.dataset.term;
             
-            if (isEditMode) {
-                const wikilink = `[[${term}]]`;
-                navigator.clipboard.writeText(wikilink).then(() => {
-                    showToast(`✓ Copied: ${wikilink}`);
-                });
+            if (isEditMode && mark.dataset.disambiguation) {
+                showToast('⚠️ Ambiguous term: pick a specific article in the side panel');
+            } else if (isEditMode) {
+                // The clicked occurrence, found in the wikitext by the text around it
+                const editor = WLH.getEditor();
+                addWikilink(term, mark.dataset.surface, editor ? WLH.locateHighlightInWikitext(mark, editor.getText()) : null);
             } else {
                 const url = `${window.location.origin}/wiki/${encodeURIComponent(term.replace(/ /g, '_'))}`;
                 if (e.ctrlKey || e.metaKey) {
@@ -544,7 +533,7 @@
     // ==================== INIT ====================
 
     function init() {
-        currentArticle = getArticleTitle();
+        currentArticle = WLH.getArticleTitle();
         isEditMode = checkEditMode();
         
         log('Initialized');
@@ -1,14 +1,17 @@
 // ==UserScript==
 // @name         Smart Highlight (Wikipedia-safe)
 // @description  Highlights unlinked phrases that already have Wikipedia articles (no AI)
-// @version      2.0
+// @version      2.3
 // @match        *://*.wikipedia.org/wiki/*
 // @grant        none
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 (function () {
   'use strict';
 
+  const WLH = window.WikiLinkHighlighter;
+
   /* ================= CONFIG ================= */
   const MAX_HIGHLIGHTS = 40;
   const MAX_PHRASE_WORDS = 4;
@@ -87,38 +90,22 @@
   function highlightTerms(root, terms) {
     if (!terms.length) return;
 
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
-      acceptNode(node) {
-        if (!node.parentElement) return NodeFilter.FILTER_REJECT;
-        if (node.parentElement.closest('a, sup, .reference, .infobox, .thumb')) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        return NodeFilter.FILTER_ACCEPT;
+    const matcher = WLH.createMatcher(new Map(terms.map(title => [title.toLowerCase(), { title }])));
+    const count = WLH.highlightElement(root, matcher, {
+      skipSelector: 'a, sup, .reference, .infobox, .thumb, [data-wlh]',
+      limit: MAX_HIGHLIGHTS,
+      createMark(match) {
+        const mark = document.createElement('mark');
+        mark.className = 'smarthl';
+        mark.setAttribute('data-wlh', '');
+        mark.dataset.title = match.data.title;
+        mark.dataset.surface = match.surface || match.text;
+        mark.title = `Click to link [[${match.data.title}]]`;
+        mark.textContent = match.text;
+        return mark;
       }
     });
 
-    let count = 0;
-
-    while (walker.nextNode() && count < MAX_HIGHLIGHTS) {
-      const node = walker.currentNode;
-      let text = node.textContent;
-
-      for (const title of terms) {
-        const regex = new RegExp(`\\b${escapeRegExp(title)}\\b`);
-        if (!regex.test(text)) continue;
-
-        const span = document.createElement('span');
-        span.innerHTML = text.replace(
-          regex,
-          `<mark class="smarthl" data-title="${title}" title="Click to link [[${title}]]">${title}</mark>`
-        );
-
-        node.parentNode.replaceChild(span, node);
-        count++;
-        break;
-      }
-    }
-
     enableClickToLink();
     console.log('[SmartHL] Highlights inserted:', count);
   }
@@ -127,8 +114,18 @@
     document.querySelectorAll('mark.smarthl').forEach(m => {
       m.addEventListener('click', e => {
         e.stopPropagation();
-        const title = m.dataset.title;
-        m.outerHTML = `[[${title}]]`;
+        const { title, surface } = m.dataset;
+        // Editing: link the clicked occurrence in the wikitext itself, undoable with Ctrl+Z.
+        // Found by the text around it; when that does not tell, or it is formatted, copy instead
+        const textarea = document.getElementById('wpTextbox1');
+        const occurrence = textarea && WLH.locateHighlightInWikitext(m, textarea.value);
+        const inserted = occurrence && occurrence.plain &&
+          WLH.insertWikilink(textarea, occurrence.start, occurrence.end, title);
+        if (!inserted) {
+          navigator.clipboard.writeText(WLH.buildWikilink(title, surface));
+        }
+        // A term split by inline markup is several marks: all of them go back to plain text
+        WLH.getHighlightParts(m).forEach(part => part.replaceWith(...part.childNodes));
       });
     });
   }
@@ -150,8 +147,4 @@
     document.head.appendChild(style);
   }
 
-  function escapeRegExp(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
 })();
@@ -1,12 +1,14 @@
 // ==UserScript==
 // @name         Smart Highlight (Debug + Fallback)
 // @description  Highlights related or unlinked capitalized terms with visible logs
-// @version      1.7
+// @version      1.9
 // @match        *://*.wikipedia.org/wiki/*
+// @require      https://raw.githubusercontent.com/Riddhi-7905/Wikipedia-Link-Highlighter/main/highlighter-core.js
 // ==/UserScript==
 
 (function () {
   'use strict';
+  const WLH = window.WikiLinkHighlighter;
   const MAX_HIGHLIGHTS = 50;
   console.log('[SmartHL] Script started');
 
@@ -16,7 +18,8 @@
 
   // Simple fallback: highlight unlinked capitalized words
   const allText = content.innerText;
-  const capitalWords = Array.from(new Set(allText.match(/\b[A-Z][a-z]{3,}\b/g))) || [];
+  // Single words; sentence-initial words that also occur lowercase ("During", "Because") are left out
+  const capitalWords = WLH.extractCandidates(allText, { maxPhraseWords: 1 });
   console.log('[SmartHL] Found capitalized words:', capitalWords.length);
 
   const linkedWords = new Set(Array.from(content.querySelectorAll('a')).map(a => a.textContent.trim()));
@@ -42,29 +45,19 @@
 
   function highlightTerms(root, terms) {
     if (!terms.length) return;
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
-      acceptNode: node => {
-        if (!node.parentElement) return NodeFilter.FILTER_REJECT;
-        if (node.parentElement.closest('a, sup, .reference, .infobox, .thumb')) return NodeFilter.FILTER_REJECT;
-        return NodeFilter.FILTER_ACCEPT;
+    const matcher = WLH.createMatcher(new Map(terms.map(t => [t.toLowerCase(), { title: t }])));
+    const count = WLH.highlightElement(root, matcher, {
+      skipSelector: 'a, sup, .reference, .infobox, .thumb, [data-wlh]',
+      limit: MAX_HIGHLIGHTS,
+      createMark: match => {
+        const mark = document.createElement('mark');
+        mark.className = 'smarthl';
+        mark.setAttribute('data-wlh', '');
+        mark.title = `Consider linking [[${match.data.title}]]`;
+        mark.textContent = match.text;
+        return mark;
       }
     });
-    let count = 0;
-    while (walker.nextNode() && count < MAX_HIGHLIGHTS) {
-      const node = walker.currentNode;
-      let text = node.textContent;
-      for (const t of terms) {
-        const regex = new RegExp(`\\b${t}\\b`, 'g');
-        if (regex.test(text)) {
-          const spanHTML = text.replace(regex, `<mark class="smarthl" title="Consider linking [[${t}]]">${t}</mark>`);
-          const span = document.createElement('span');
-          span.innerHTML = spanHTML;
-          node.parentNode.replaceChild(span, node);
-          count++;
-          break;
-        }
-      }
-    }
     console.log('[SmartHL] Highlights inserted:', count);
   }
 })();
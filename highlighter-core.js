@@ -0,0 +1,3207 @@
+/**
+ * highlighter-core.js
+ * Shared core for the Wikipedia link highlighter scripts: candidate extraction,
+ * title resolution, caching and highlighting live here so that the userscript,
+ * gadget and editor-helper variants all behave the same way.
+ *
+ * Load this file before any variant (userscript: @require, gadget: list it first
+ * in the gadget definition). Everything is exposed on window.WikiLinkHighlighter.
+ */
+
+(function (root) {
+    'use strict';
+
+    const WLH = root.WikiLinkHighlighter = root.WikiLinkHighlighter || {};
+
+    WLH.version = '1.24.0';
+
+    // ==================== CONFIGURATION ====================
+
+    const DEFAULT_CONFIG = {
+        minWordLength: 4,
+        // Scripts without letter case (Devanagari, Arabic, CJK, ...) have short content words
+        minUncasedWordLength: 2,
+        maxPhraseWords: 3,
+        // Lowercase words allowed inside a capitalized phrase: "Treaty of Versailles", "Otto von Bismarck"
+        phraseConnectors: ['of', 'the', 'and', 'for', 'upon', 'de', 'du', 'des', 'del', 'della', 'di', 'da',
+                           'do', 'dos', 'das', 'la', 'le', 'van', 'von', 'der', 'den', 'zu', 'y', 'al', 'bin', 'ibn'],
+        maxAcronymLength: 6,
+        // Titles per API request, 0 = as many as the API allows (50, or 500 with apihighlimits)
+        batchSize: 0,
+        // Longer title batches are sent by POST
+        maxGetUrlLength: 2000,
+        // Request scheduler: token bucket shared by every API call
+        requestsPerMinute: 100,
+        requestBurst: 5,
+        maxConcurrentRequests: 2,
+        maxRetries: 5,
+        maxlag: 5,
+        maxDisambiguationOptions: 10,
+        // Popular articles have millions of backlinks, stop paging linkshere after this many requests
+        maxBacklinkRequests: 5,
+        cacheDatabase: 'wikiLinkHighlighter',
+        maxCacheEntries: 20000,
+        // How long each kind of title lookup result stays valid
+        cacheTTL: {
+            exists: 7 * 24 * 60 * 60 * 1000, // 7 days
+            redirect: 3 * 24 * 60 * 60 * 1000, // 3 days
+            disambiguation: 3 * 24 * 60 * 60 * 1000, // 3 days
+            missing: 24 * 60 * 60 * 1000 // 1 day, new articles appear all the time
+        },
+        highlightClass: 'wlh-term',
+        skipSelector: 'a, sup, sub, cite, code, pre, mark, .reference, .infobox, .navbox, .thumb, .reflist, [data-wlh]',
+        // On-wiki exclusion list kept by the community, one word or phrase per line
+        exclusionPage: 'MediaWiki:Gadget-WikiLinkHighlighter-exclusions',
+        // Storage key of the user's own exclusion list
+        userExclusionsKey: 'wlhUserExclusions',
+        // Which occurrences get a link suggestion: 'first-in-article', 'first-per-section' or 'all'
+        linkPolicy: 'first-in-article'
+    };
+
+    function createConfig(overrides = {}) {
+        return { ...DEFAULT_CONFIG, ...overrides };
+    }
+
+    // ==================== UTILITIES ====================
+
+    function escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Normalize a title the way MediaWiki does: underscores to spaces, first letter uppercase
+    function normalizeTitle(title) {
+        const clean = String(title).replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+        return clean.charAt(0).toUpperCase() + clean.slice(1);
+    }
+
+    function getArticleTitle() {
+        if (root.mw && root.mw.config && root.mw.config.get('wgTitle')) {
+            return root.mw.config.get('wgTitle');
+        }
+        const heading = document.getElementById('firstHeading');
+        if (!heading) return '';
+        return heading.textContent.trim().replace(/\s*\[edit\]\s*$/i, '');
+    }
+
+    function getApiUrl(lang) {
+        if (lang) return `https://${lang}.wikipedia.org/w/api.php`;
+        if (root.mw && root.mw.util && root.mw.util.wikiScript) {
+            return root.location.origin + root.mw.util.wikiScript('api');
+        }
+        return `${root.location.origin}/w/api.php`;
+    }
+
+    function buildWikilink(target, surface) {
+        if (!surface || surface === target) return `[[${target}]]`;
+        // [[Paris|paris]] is redundant, MediaWiki uppercases the first letter anyway
+        if (normalizeTitle(surface) === target) return `[[${surface}]]`;
+        return `[[${target}|${surface}]]`;
+    }
+
+    // ==================== SCRIPTS ====================
+
+    const LETTER = /\p{L}/gu;
+    const ACRONYM = /^\p{Lu}{2,}$/u;
+    // Latin, Cyrillic, Greek, Armenian...: only these carry the capitalization signal
+    const CASED_LETTER = /[\p{Lu}\p{Ll}\p{Lt}]/u;
+    // Scripts written without spaces between words, any letter pair can be a word boundary
+    const UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+    const SCRIPTS = [
+        ['Latin', /\p{Script=Latin}/u],
+        ['Cyrillic', /\p{Script=Cyrillic}/u],
+        ['Greek', /\p{Script=Greek}/u],
+        ['Armenian', /\p{Script=Armenian}/u],
+        ['Georgian', /\p{Script=Georgian}/u],
+        ['Devanagari', /\p{Script=Devanagari}/u],
+        ['Bengali', /\p{Script=Bengali}/u],
+        ['Gujarati', /\p{Script=Gujarati}/u],
+        ['Gurmukhi', /\p{Script=Gurmukhi}/u],
+        ['Tamil', /\p{Script=Tamil}/u],
+        ['Telugu', /\p{Script=Telugu}/u],
+        ['Kannada', /\p{Script=Kannada}/u],
+        ['Malayalam', /\p{Script=Malayalam}/u],
+        ['Arabic', /\p{Script=Arabic}/u],
+        ['Hebrew', /\p{Script=Hebrew}/u],
+        ['Thai', /\p{Script=Thai}/u],
+        ['Hangul', /\p{Script=Hangul}/u],
+        // Japanese mixes kanji and kana inside one word
+        ['CJK', /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u]
+    ];
+
+    function letterCount(word) {
+        return (word.match(LETTER) || []).length;
+    }
+
+    // Script of the first letter of a word ('Other' for scripts not listed above)
+    function scriptOf(word) {
+        const letter = word.match(/\p{L}/u);
+        if (!letter) return null;
+        const found = SCRIPTS.find(([, pattern]) => pattern.test(letter[0]));
+        return found ? found[0] : 'Other';
+    }
+
+    function isCased(word) {
+        const letter = word.match(/\p{L}/u);
+        return !!letter && CASED_LETTER.test(letter[0]);
+    }
+
+    // ==================== EXCLUSION ====================
+
+    // Built-in stopwords per language: words capitalized at sentence start, months and weekdays,
+    // and page furniture that is never an article topic
+    const STOPWORDS = {
+        en: ['the', 'a', 'an', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'as', 'to', 'for', 'from', 'with',
+             'into', 'about', 'such', 'other', 'also', 'its', 'it', 'is', 'are', 'was', 'were', 'be', 'been',
+             'have', 'has', 'had', 'this', 'that', 'these', 'those', 'their', 'there', 'then', 'than', 'where',
+             'what', 'when', 'which', 'while', 'before', 'after', 'because', 'during', 'although', 'however',
+             'therefore', 'thus', 'hence',
+             'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+             'october', 'november', 'december',
+             'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+             'wikipedia', 'retrieved', 'archived', 'original', 'external', 'references'],
+        de: ['der', 'die', 'das', 'ein', 'eine', 'und', 'oder', 'aber', 'mit', 'von', 'für', 'auf', 'nach',
+             'dieser', 'diese', 'dieses', 'wenn', 'als', 'auch', 'jedoch', 'daher', 'während',
+             'januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september',
+             'oktober', 'november', 'dezember',
+             'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonntag',
+             'einzelnachweise', 'weblinks', 'literatur', 'abgerufen', 'archiviert'],
+        fr: ['le', 'la', 'les', 'un', 'une', 'des', 'et', 'ou', 'mais', 'avec', 'pour', 'dans', 'sur',
+             'ce', 'cette', 'ces', 'il', 'elle', 'ils', 'elles', 'lorsque', 'quand', 'cependant', 'ainsi',
+             'janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre',
+             'octobre', 'novembre', 'décembre',
+             'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche',
+             'références', 'notes', 'consulté', 'archivé'],
+        es: ['el', 'la', 'los', 'las', 'un', 'una', 'y', 'o', 'pero', 'con', 'para', 'por', 'en',
+             'este', 'esta', 'estos', 'estas', 'cuando', 'sin', 'embargo', 'así',
+             'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre',
+             'octubre', 'noviembre', 'diciembre',
+             'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo',
+             'referencias', 'consultado', 'archivado'],
+        it: ['il', 'lo', 'la', 'gli', 'le', 'un', 'una', 'e', 'o', 'ma', 'con', 'per', 'nel', 'nella',
+             'questo', 'questa', 'quando', 'tuttavia', 'quindi',
+             'gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto',
+             'settembre', 'ottobre', 'novembre', 'dicembre',
+             'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato', 'domenica',
+             'note', 'bibliografia', 'collegamenti', 'esterni'],
+        pt: ['o', 'a', 'os', 'as', 'um', 'uma', 'e', 'ou', 'mas', 'com', 'para', 'por', 'em', 'no', 'na',
+             'este', 'esta', 'quando', 'porém', 'assim',
+             'janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro',
+             'outubro', 'novembro', 'dezembro',
+             'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado', 'domingo',
+             'referências', 'consultado', 'arquivado'],
+        nl: ['de', 'het', 'een', 'en', 'of', 'maar', 'met', 'voor', 'van', 'in', 'op',
+             'deze', 'dit', 'die', 'dat', 'wanneer', 'toen', 'echter', 'dus',
+             'januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september',
+             'oktober', 'november', 'december',
+             'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrijdag', 'zaterdag', 'zondag',
+             'referenties', 'bronnen', 'geraadpleegd', 'gearchiveerd']
+    };
+
+    // Exclusion list text: one word or phrase per line, "#" starts a comment, a leading "*" (wiki list)
+    // is ignored and "!word" allows a word that a lower layer excludes
+    function parseExclusionList(text) {
+        return String(text || '').split('\n')
+            .map(line => line.replace(/#.*$/, '').replace(/^\s*\*/, '').trim())
+            .filter(Boolean);
+    }
+
+    function formatExclusionList(entries) {
+        return entries.join('\n');
+    }
+
+    // Layered exclusions, later layers win: the language's stopwords, then the wiki's list, then the user's
+    function createExclusionList(layers = {}) {
+        const lang = layers.lang ? getWikiLanguage(layers.lang) : getContentLanguage();
+        const language = layers.language || STOPWORDS[lang] || [];
+        const wiki = layers.wiki || [];
+        const user = layers.user || [];
+        const excluded = new Set();
+
+        [language, wiki, user].forEach(entries => entries.forEach(entry => {
+            const allow = entry.startsWith('!');
+            const lower = (allow ? entry.slice(1) : entry).trim().toLowerCase();
+            if (allow) excluded.delete(lower);
+            else excluded.add(lower);
+        }));
+
+        return {
+            lang,
+            layers: { language, wiki, user },
+            has: word => excluded.has(word.toLowerCase()),
+            size: () => excluded.size
+        };
+    }
+
+    function loadUserExclusions(storage = createStorage()) {
+        return parseExclusionList(storage.get(DEFAULT_CONFIG.userExclusionsKey));
+    }
+
+    function saveUserExclusions(entries, storage = createStorage()) {
+        storage.set(DEFAULT_CONFIG.userExclusionsKey, formatExclusionList(entries));
+    }
+
+    // apiUrl -> Promise of the wiki's list, read once per page
+    const wikiExclusions = new Map();
+
+    function fetchWikiExclusions(options = {}) {
+        const apiUrl = options.apiUrl || getApiUrl(options.lang);
+        const page = options.exclusionPage || DEFAULT_CONFIG.exclusionPage;
+        const key = `${apiUrl}|${page}`;
+        if (!wikiExclusions.has(key)) {
+            wikiExclusions.set(key, queryTitles([page], { prop: 'revisions', rvprop: 'content', rvslots: 'main' }, {
+                apiUrl,
+                scheduler: schedulerFor(options)
+            }).then(query => {
+                const found = query.pages[0];
+                const revision = found && found.revisions && found.revisions[0];
+                return revision ? parseExclusionList(revision.slots.main.content) : [];
+            }).catch(e => {
+                console.error('Error loading the wiki exclusion list:', e);
+                return [];
+            }));
+        }
+        return wikiExclusions.get(key);
+    }
+
+    // The full exclusion list for this wiki and user. options.wikiExclusions and
+    // options.userExclusions replace the on-wiki page and the stored user list.
+    async function loadExclusions(options = {}) {
+        const wiki = options.wikiExclusions || await fetchWikiExclusions(options);
+        const user = options.userExclusions || loadUserExclusions(options.storage);
+        return createExclusionList({ lang: options.lang, wiki, user });
+    }
+
+    // options.exclusions is a list from loadExclusions() or createExclusionList(); without one only
+    // the language's stopwords apply. options.blacklist adds words on top.
+    // shouldExclude(word, { phraseStart: true }) only asks whether a phrase may begin with the word:
+    // a short one or one from the article title may ("New" of "New York").
+    function createExcluder(options = {}) {
+        const articleLower = (options.articleTitle || '').toLowerCase();
+        const exclusions = options.exclusions || createExclusionList({ lang: options.lang });
+        const blacklist = new Set((options.blacklist || []).map(w => w.toLowerCase()));
+        const minLength = options.minWordLength || DEFAULT_CONFIG.minWordLength;
+        const uncasedMinLength = options.minUncasedWordLength || DEFAULT_CONFIG.minUncasedWordLength;
+
+        return function shouldExclude(word, context = {}) {
+            const lower = word.toLowerCase();
+
+            if (exclusions.has(lower) || blacklist.has(lower)) return true;
+
+            // Exclude dates and numbers
+            if (/^\d+$/.test(word)) return true;
+            if (/^\d{1,2}(st|nd|rd|th)$/.test(word)) return true;
+
+            if (context.phraseStart) return false;
+
+            // Exclude current article
+            if (articleLower && (lower === articleLower || articleLower.includes(lower) || lower.includes(articleLower))) {
+                return true;
+            }
+
+            // Acronyms are allowed to be short, everything else has a minimum length
+            if (!ACRONYM.test(word) && letterCount(word) < (isCased(word) ? minLength : uncasedMinLength)) return true;
+
+            return false;
+        };
+    }
+
+    // ==================== CANDIDATE EXTRACTION ====================
+
+    const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/gu;
+    const HYPHEN = /^[-‐‑]$/;
+    const segmenters = new Map();
+
+    function getSegmenter(locale, granularity = 'word') {
+        if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+        const key = `${granularity}|${locale || ''}`;
+        if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(locale || undefined, { granularity }));
+        return segmenters.get(key);
+    }
+
+    // Split text into words: [{ text, start, end, script }].
+    // Intl.Segmenter finds word breaks in CJK and Thai, the regex fallback splits on anything
+    // that is not a letter, combining mark or digit. Hyphenated names (Rimsky-Korsakov) stay
+    // one word, a possessive 's (Paris's) does not belong to the word.
+    function tokenizeWords(text, options = {}) {
+        const segmenter = getSegmenter(options.locale);
+        const raw = [];
+        if (segmenter) {
+            for (const segment of segmenter.segment(text)) {
+                if (segment.isWordLike) raw.push({ text: segment.segment, start: segment.index });
+                else if (HYPHEN.test(segment.segment)) raw.push({ text: segment.segment, start: segment.index, hyphen: true });
+            }
+        } else {
+            text.replace(WORD_PATTERN, (word, start) => raw.push({ text: word, start }));
+            text.replace(/[-‐‑]/g, (hyphen, start) => raw.push({ text: hyphen, start, hyphen: true }));
+            raw.sort((a, b) => a.start - b.start);
+        }
+
+        const words = [];
+        raw.forEach((token, i) => {
+            const prev = words[words.length - 1];
+            const hyphen = raw[i - 1];
+            // word + hyphen + word with nothing in between
+            if (!token.hyphen && prev && hyphen && hyphen.hyphen &&
+                hyphen.start === prev.end && token.start === hyphen.start + 1) {
+                prev.text += hyphen.text + token.text;
+                prev.end = token.start + token.text.length;
+                return;
+            }
+            if (token.hyphen) return;
+            words.push({ text: token.text, start: token.start, end: token.start + token.text.length });
+        });
+
+        words.forEach(word => {
+            const possessive = word.text.match(/['’]s$/);
+            if (possessive) {
+                word.text = word.text.slice(0, -2);
+                word.end -= 2;
+            }
+            word.script = scriptOf(word.text);
+        });
+        return words.filter(word => word.script);
+    }
+
+    // Capitalized, but not all capitals: "Zürich", "Łódź", "O'Brien", "Москва"
+    function isCapitalized(word) {
+        const first = word.match(/\p{L}/u);
+        return !!first && /[\p{Lu}\p{Lt}]/u.test(first[0]) && /\p{Ll}/u.test(word);
+    }
+
+    // Offsets where sentences start: Intl.Segmenter's sentence breaks (or . ! ? and their CJK
+    // forms without it), plus every line break and text model separator
+    function findSentenceStarts(text, options = {}) {
+        const starts = new Set([0]);
+        const segmenter = getSegmenter(options.locale, 'sentence');
+        if (segmenter) {
+            for (const segment of segmenter.segment(text)) starts.add(segment.index);
+        } else {
+            text.replace(/[.!?。！？]['"”’)\]]*\s+|[。！？]/g, (end, index) => starts.add(index + end.length));
+        }
+        text.replace(/[\n\uFFFC]/g, (ch, index) => starts.add(index + 1));
+        return Array.from(starts).sort((a, b) => a - b);
+    }
+
+    // Words of a text with token.initial set on the first word of each sentence
+    function tokenizeSentences(text, options = {}) {
+        const tokens = tokenizeWords(text, options);
+        const starts = findSentenceStarts(text, options);
+        let next = 0;
+        tokens.forEach(token => {
+            token.initial = false;
+            while (next < starts.length && starts[next] <= token.start) {
+                token.initial = true;
+                next++;
+            }
+        });
+        return tokens;
+    }
+
+    // Capitalized words seen only at the start of a sentence: lower -> whether the word also
+    // occurs in lowercase. "During" followed by "during the war" elsewhere is a plain word,
+    // "Paris" that merely happens to open every sentence it is in is not.
+    function sentenceInitialWords(tokens) {
+        const midSentence = new Set();
+        const lowercase = new Set();
+        const initial = new Set();
+        tokens.forEach(token => {
+            const lower = token.text.toLowerCase();
+            if (token.text === lower) lowercase.add(lower);
+            else if (!isCapitalized(token.text)) return;
+            else if (token.initial) initial.add(lower);
+            else midSentence.add(lower);
+        });
+
+        const words = new Map();
+        initial.forEach(lower => {
+            if (!midSentence.has(lower)) words.set(lower, lowercase.has(lower));
+        });
+        return words;
+    }
+
+    // Remove existing wikilinks (edit mode), citations and parentheticals
+    function cleanCandidateText(text) {
+        return text.normalize('NFC')
+            .replace(/\[\[.*?\]\]/g, '')
+            .replace(/\[\d+\]/g, '')
+            .replace(/\([^)]*\)|（[^）]*）/g, '');
+    }
+
+    // Lowercased capitalized words of a text that never appear capitalized mid-sentence. Such a
+    // word is kept as a candidate if it never appears in lowercase either, callers may rank it lower.
+    function findSentenceInitialWords(text, options = {}) {
+        const words = sentenceInitialWords(tokenizeSentences(cleanCandidateText(options.context || text), options));
+        return new Set(Array.from(words.keys()).filter(lower => !words.get(lower)));
+    }
+
+    // Candidate titles in a text, in any script. In scripts with letter case only capitalized
+    // words and phrases (and short acronyms) count, phrases may contain lowercase connectors
+    // ("Bank of the United States"); scripts without case have no such signal, so there every
+    // word and run of up to maxPhraseWords words is a candidate.
+    // Phrases never cross punctuation, a change of script or a text model separator, nor start on
+    // an excluded word; options.shouldExclude is asked with { phraseStart: true } for that (see createExcluder).
+    // A capitalized word that only starts sentences and occurs lowercase elsewhere ("During ...",
+    // "... during the war") is no candidate. options.context is the text to judge that on, e.g. the
+    // whole article when text is one paragraph of it.
+    function extractCandidates(text, options = {}) {
+        const shouldExclude = options.shouldExclude || createExcluder(options);
+        const maxPhraseWords = options.maxPhraseWords || DEFAULT_CONFIG.maxPhraseWords;
+        const maxAcronymLength = options.maxAcronymLength || DEFAULT_CONFIG.maxAcronymLength;
+        const connectorWords = new Set(options.phraseConnectors || DEFAULT_CONFIG.phraseConnectors);
+        const words = new Set();
+
+        text = cleanCandidateText(text);
+        const tokens = tokenizeSentences(text, options);
+        const initialWords = sentenceInitialWords(options.context
+            ? tokenizeSentences(cleanCandidateText(options.context), options)
+            : tokens);
+
+        function add(phrase) {
+            if (!shouldExclude(phrase)) words.add(phrase);
+        }
+
+        tokens.forEach((token, i) => {
+            if (ACRONYM.test(token.text)) {
+                if (token.text.length <= maxAcronymLength) add(token.text);
+                return;
+            }
+            const cased = isCased(token.text);
+            if (cased && !isCapitalized(token.text)) return;
+            if (token.initial && initialWords.get(token.text.toLowerCase())) return;
+            // Phrases never start on a stopword or other excluded word ("The United States"),
+            // without case they must not end on one either
+            if (shouldExclude(token.text, { phraseStart: cased })) return;
+
+            let phrase = token.text;
+            let wordCount = 1;
+            let connectors = [];
+            let connected = 0;
+            add(phrase);
+            for (let j = i + 1; j < tokens.length && wordCount < maxPhraseWords; j++) {
+                const next = tokens[j];
+                const gap = text.slice(tokens[j - 1].end, next.start);
+                if (next.script !== token.script) break;
+                if (!/^\s+$/.test(gap) && !(gap === '' && UNSPACED.test(next.text))) break;
+                if (cased && !isCapitalized(next.text)) {
+                    // "of the" at most, and a phrase never ends on a connector. "and" only stands
+                    // alone ("Trinidad and Tobago"), otherwise it strings unrelated names together.
+                    if (!connectorWords.has(next.text) || connectors.length === 2) break;
+                    if (connected && (next.text === 'and' || connectors.includes('and') || phrase.includes(' and '))) break;
+                    connectors.push(next.text);
+                    connected++;
+                    continue;
+                }
+                phrase += connectors.map(connector => ` ${connector}`).join('');
+                phrase += gap ? ' ' : '';
+                phrase += next.text;
+                connectors = [];
+                wordCount++;
+                if (cased || !shouldExclude(next.text)) add(phrase);
+            }
+        });
+
+        return Array.from(words);
+    }
+
+    // Count how often each candidate occurs in a text (case-insensitive, whole words,
+    // a longer candidate swallows the shorter ones it contains)
+    function countOccurrences(text, candidates) {
+        const counts = new Map();
+        const matcher = createMatcher(new Map(candidates.map(word => [word.toLowerCase(), word])));
+        matcher.findAll(text).forEach(m => {
+            counts.set(m.key, (counts.get(m.key) || 0) + 1);
+        });
+        return counts;
+    }
+
+    // ==================== ACRONYMS ====================
+
+    // The shortest run of words at the end of a phrase whose initials spell the acronym, skipping
+    // connectors: "the North Atlantic Treaty Organization" -> NATO, "Department of Defense" -> DOD
+    function matchExpansion(words, acronym, connectors) {
+        let letter = acronym.length - 1;
+        for (let i = words.length - 1; i >= 0; i--) {
+            const initial = words[i].match(/\p{L}/u);
+            if (initial && initial[0].toUpperCase() === acronym[letter]) {
+                if (--letter < 0) return words.slice(i).join(' ');
+            } else if (!connectors.has(words[i].toLowerCase())) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // Acronyms a text defines, as "North Atlantic Treaty Organization (NATO)" or
+    // "NATO (North Atlantic Treaty Organization)": Map acronym -> expansion, first definition wins
+    function findAcronymDefinitions(text, options = {}) {
+        const connectors = new Set(options.phraseConnectors || DEFAULT_CONFIG.phraseConnectors);
+        const definitions = new Map();
+        const words = phrase => phrase.split(/\s+/).filter(Boolean);
+        text = text.normalize('NFC');
+
+        text.replace(/\(([^()]+)\)/g, (whole, inner, index) => {
+            // "(NATO; founded 1949)": only the first part counts
+            const first = inner.split(/[;,]/)[0].trim();
+            // The clause before the parenthesis, back to the last punctuation
+            const before = text.slice(0, index).split(/[.,;:!?()\n\uFFFC]/).pop().trim();
+
+            if (ACRONYM.test(first)) {
+                const expansion = matchExpansion(words(before), first, connectors);
+                if (expansion && !definitions.has(first)) definitions.set(first, expansion);
+                return whole;
+            }
+            const acronym = words(before).pop();
+            if (acronym && ACRONYM.test(acronym) && matchExpansion(words(first), acronym, connectors) === words(first).join(' ')) {
+                if (!definitions.has(acronym)) definitions.set(acronym, words(first).join(' '));
+            }
+            return whole;
+        });
+        return definitions;
+    }
+
+    // ==================== NORMALIZATION ====================
+
+    // Language code -> function(surface) returning extra lookup forms, most likely first
+    const normalizers = new Map();
+
+    function registerNormalizer(lang, variants) {
+        normalizers.set(lang, variants);
+    }
+
+    // Possible singulars of an English word: "algorithms" -> "algorithm", "cities" -> "city",
+    // "churches" -> "church", "cases" -> "case" before "cas". Lowercase endings only, and words
+    // that merely end in s (Texas, status, glass) are left alone.
+    function englishSingulars(word) {
+        if (word.length < 4 || !/\p{Ll}s$/u.test(word) || /(?:ss|us|is)$/.test(word)) return [];
+        if (/[^aeiou]ies$/.test(word)) return [word.slice(0, -3) + 'y'];
+        if (/(?:x|z|ch|sh)es$/.test(word)) return [word.slice(0, -2), word.slice(0, -1)];
+        if (/ses$/.test(word)) return [word.slice(0, -1), word.slice(0, -2)];
+        return [word.slice(0, -1)];
+    }
+
+    // Germany’s -> Germany's -> Germany, Romans' -> Romans, Beatles's -> Beatles, then the singular
+    // of the last word and the hyphen spellings: "e-mail" -> "e mail", "email".
+    function englishVariants(surface) {
+        const straight = surface.replace(/’/g, "'");
+        const base = straight.replace(/'s$/, '').replace(/s'$/, 's');
+        const words = base.split(' ');
+        const last = words.pop();
+        const singulars = englishSingulars(last).map(singular => words.concat(singular).join(' '));
+        const forms = [straight, base].concat(singulars);
+        [base].concat(singulars).forEach(form => {
+            if (/[-‐‑]/.test(form)) forms.push(form.replace(/[-‐‑]/g, ' '), form.replace(/[-‐‑]/g, ''));
+        });
+        return forms;
+    }
+
+    registerNormalizer('en', englishVariants);
+
+    // Normalizer for a wiki: surface -> unique lookup forms, the surface itself first.
+    // options.normalizer replaces the registered one for options.lang (or the content language).
+    function createNormalizer(options = {}) {
+        const lang = options.lang ? getWikiLanguage(options.lang) : getContentLanguage();
+        const variants = options.normalizer || normalizers.get(lang) || (() => []);
+        return function normalize(surface) {
+            const forms = [surface].concat(variants(surface.normalize('NFC')));
+            return Array.from(new Set(forms.map(form => form.trim()).filter(Boolean)));
+        };
+    }
+
+    // ==================== STORAGE & CACHE ====================
+
+    // Key/value storage for settings: GM_* in userscripts, localStorage in gadgets, memory as last resort
+    function createStorage() {
+        if (typeof GM_getValue === 'function' && typeof GM_setValue === 'function') {
+            return {
+                get: key => GM_getValue(key),
+                set: (key, value) => GM_setValue(key, value),
+                remove: key => (typeof GM_deleteValue === 'function' ? GM_deleteValue(key) : GM_setValue(key, ''))
+            };
+        }
+        try {
+            if (root.localStorage) {
+                return {
+                    get: key => root.localStorage.getItem(key),
+                    set: (key, value) => root.localStorage.setItem(key, value),
+                    remove: key => root.localStorage.removeItem(key)
+                };
+            }
+        } catch (e) {
+            // localStorage can throw in sandboxed frames, fall through to memory
+        }
+        const memory = new Map();
+        return {
+            get: key => memory.get(key),
+            set: (key, value) => memory.set(key, value),
+            remove: key => memory.delete(key)
+        };
+    }
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    const TITLE_STORE = 'titles';
+    const openDatabases = new Map();
+
+    function openDatabase(name, idb) {
+        if (!openDatabases.has(name)) {
+            const request = idb.open(name, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(TITLE_STORE, { keyPath: 'key' });
+                store.createIndex('lastUsed', 'lastUsed');
+                store.createIndex('host', 'host');
+            };
+            openDatabases.set(name, requestToPromise(request));
+        }
+        return openDatabases.get(name);
+    }
+
+    // Per-entry title lookup cache for one wiki, stored in IndexedDB (works for gadgets and
+    // userscripts alike), falling back to memory when IndexedDB is unavailable.
+    // Entries are keyed by host + normalized title, expire by kind (see cacheTTL) and the
+    // least recently used ones are evicted once maxEntries is exceeded.
+    function createTitleCache(options = {}) {
+        const host = options.host || root.location.host;
+        const ttl = { ...DEFAULT_CONFIG.cacheTTL, ...options.ttl };
+        const maxEntries = options.maxEntries || DEFAULT_CONFIG.maxCacheEntries;
+        const idb = options.indexedDB !== undefined ? options.indexedDB : root.indexedDB;
+        const memory = new Map(); // key -> entry, in least recently used order
+
+        const dbPromise = idb
+            ? openDatabase(options.database || DEFAULT_CONFIG.cacheDatabase, idb).catch(e => {
+                console.error('Title cache unavailable, using memory:', e);
+                return null;
+            })
+            : Promise.resolve(null);
+
+        function keyFor(title) {
+            return `${host}|${normalizeTitle(title)}`;
+        }
+
+        function kindOf(record) {
+            if (!record.exists) return 'missing';
+            if (record.disambiguation) return 'disambiguation';
+            if (record.redirectFrom) return 'redirect';
+            return 'exists';
+        }
+
+        function createEntry(title, record, now) {
+            return {
+                key: keyFor(title),
+                host,
+                title: normalizeTitle(title),
+                kind: kindOf(record),
+                record,
+                expires: now + ttl[kindOf(record)],
+                lastUsed: now
+            };
+        }
+
+        // Cached records for the given titles: Map title -> record (misses are left out)
+        async function getMany(titles) {
+            const results = new Map();
+            const now = Date.now();
+            const db = await dbPromise;
+
+            if (!db) {
+                titles.forEach(title => {
+                    const entry = memory.get(keyFor(title));
+                    if (!entry) return;
+                    memory.delete(entry.key);
+                    if (entry.expires <= now) return;
+                    memory.set(entry.key, entry);
+                    results.set(title, entry.record);
+                });
+                return results;
+            }
+
+            try {
+                const tx = db.transaction(TITLE_STORE, 'readwrite');
+                const done = transactionDone(tx);
+                const store = tx.objectStore(TITLE_STORE);
+                titles.forEach(title => {
+                    const request = store.get(keyFor(title));
+                    request.onsuccess = () => {
+                        const entry = request.result;
+                        if (!entry) return;
+                        if (entry.expires <= now) {
+                            store.delete(entry.key);
+                            return;
+                        }
+                        entry.lastUsed = now;
+                        store.put(entry);
+                        results.set(title, entry.record);
+                    };
+                });
+                await done;
+            } catch (e) {
+                console.error('Title cache read error:', e);
+            }
+            return results;
+        }
+
+        // Store records: Map title -> record
+        async function setMany(records) {
+            if (!records.size) return;
+            const now = Date.now();
+            const db = await dbPromise;
+
+            if (!db) {
+                records.forEach((record, title) => {
+                    const entry = createEntry(title, record, now);
+                    memory.delete(entry.key);
+                    memory.set(entry.key, entry);
+                });
+                while (memory.size > maxEntries) {
+                    memory.delete(memory.keys().next().value);
+                }
+                return;
+            }
+
+            try {
+                const tx = db.transaction(TITLE_STORE, 'readwrite');
+                const done = transactionDone(tx);
+                const store = tx.objectStore(TITLE_STORE);
+                records.forEach((record, title) => store.put(createEntry(title, record, now)));
+                await done;
+                await evict(db);
+            } catch (e) {
+                console.error('Title cache write error:', e);
+            }
+        }
+
+        // Drop least recently used entries (across all wikis) beyond maxEntries
+        async function evict(db) {
+            const tx = db.transaction(TITLE_STORE, 'readwrite');
+            const done = transactionDone(tx);
+            const store = tx.objectStore(TITLE_STORE);
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - maxEntries;
+                if (excess <= 0) return;
+                const cursorRequest = store.index('lastUsed').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
+            await done;
+        }
+
+        // Remove every entry of this wiki
+        async function clear() {
+            const db = await dbPromise;
+            if (!db) {
+                memory.clear();
+                return;
+            }
+            try {
+                const tx = db.transaction(TITLE_STORE, 'readwrite');
+                const done = transactionDone(tx);
+                const cursorRequest = tx.objectStore(TITLE_STORE).index('host').openCursor(IDBKeyRange.only(host));
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+                await done;
+            } catch (e) {
+                console.error('Title cache clear error:', e);
+            }
+        }
+
+        // Number of entries stored for this wiki
+        async function size() {
+            const db = await dbPromise;
+            if (!db) return memory.size;
+            try {
+                const tx = db.transaction(TITLE_STORE, 'readonly');
+                return await requestToPromise(tx.objectStore(TITLE_STORE).index('host').count(IDBKeyRange.only(host)));
+            } catch (e) {
+                console.error('Title cache count error:', e);
+                return 0;
+            }
+        }
+
+        return { host, getMany, setMany, clear, size };
+    }
+
+    // ==================== REQUEST SCHEDULER ====================
+
+    function createAbortError() {
+        return new DOMException('Request cancelled', 'AbortError');
+    }
+
+    function isAbortError(e) {
+        return !!e && e.name === 'AbortError';
+    }
+
+    // Seconds from a Retry-After header (delta-seconds or HTTP date) in ms, or null
+    function parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Queue for every MediaWiki and Wikidata request. A token bucket limits the request rate,
+    // maxlag errors and Retry-After pause the whole queue, HTTP 429/5xx are retried with
+    // exponential backoff, and cancelAll() drops everything (called when the page is left).
+    function createRequestScheduler(options = {}) {
+        const settings = {
+            requestsPerMinute: DEFAULT_CONFIG.requestsPerMinute,
+            burst: DEFAULT_CONFIG.requestBurst,
+            maxConcurrent: DEFAULT_CONFIG.maxConcurrentRequests,
+            maxRetries: DEFAULT_CONFIG.maxRetries,
+            maxlag: DEFAULT_CONFIG.maxlag,
+            baseBackoff: 1000,
+            maxBackoff: 60000
+        };
+        const fetchFn = options.fetch || root.fetch.bind(root);
+        const queue = [];
+        const active = new Set();
+        const waiting = new Map(); // job -> retry timer
+        const listeners = new Set();
+        let tokens;
+        let lastRefill = Date.now();
+        let pausedUntil = 0;
+        let timer = null;
+
+        function configure(overrides = {}) {
+            Object.keys(settings).forEach(key => {
+                if (overrides[key] !== undefined) settings[key] = overrides[key];
+            });
+            tokens = Math.min(tokens === undefined ? settings.burst : tokens, settings.burst);
+        }
+
+        function getState() {
+            return { queued: queue.length + waiting.size, active: active.size, pausedUntil };
+        }
+
+        function notify() {
+            const state = getState();
+            listeners.forEach(listener => listener(state));
+        }
+
+        function onChange(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+
+        function refill() {
+            const now = Date.now();
+            if (!isFinite(settings.requestsPerMinute)) {
+                tokens = settings.burst;
+                lastRefill = now;
+                return;
+            }
+            tokens = Math.min(settings.burst, tokens + (now - lastRefill) * settings.requestsPerMinute / 60000);
+            lastRefill = now;
+        }
+
+        function wakeAfter(ms) {
+            if (timer) return;
+            timer = setTimeout(() => {
+                timer = null;
+                pump();
+            }, Math.max(0, ms));
+        }
+
+        function pump() {
+            refill();
+            while (queue.length && active.size < settings.maxConcurrent) {
+                const now = Date.now();
+                if (now < pausedUntil) {
+                    wakeAfter(pausedUntil - now);
+                    break;
+                }
+                if (tokens < 1) {
+                    wakeAfter((1 - tokens) * 60000 / settings.requestsPerMinute);
+                    break;
+                }
+                tokens -= 1;
+                run(queue.shift());
+            }
+            notify();
+        }
+
+        function withMaxlag(url) {
+            if (!settings.maxlag || !/api\.php/.test(url) || /[?&]maxlag=/.test(url)) return url;
+            return url + (url.includes('?') ? '&' : '?') + `maxlag=${settings.maxlag}`;
+        }
+
+        function retry(job, delay) {
+            job.attempt++;
+            if (job.attempt > settings.maxRetries) {
+                job.reject(new Error(`Request failed after ${settings.maxRetries} retries: ${job.url}`));
+                return;
+            }
+            waiting.set(job, setTimeout(() => {
+                waiting.delete(job);
+                if (job.controller.signal.aborted) return;
+                queue.unshift(job);
+                pump();
+            }, delay));
+        }
+
+        function backoff(job) {
+            const delay = settings.baseBackoff * Math.pow(2, job.attempt);
+            return Math.min(settings.maxBackoff, delay + Math.random() * settings.baseBackoff);
+        }
+
+        async function run(job) {
+            active.add(job);
+            try {
+                const response = await fetchFn(withMaxlag(job.url), { ...job.init, signal: job.controller.signal });
+                const retryAfter = parseRetryAfter(response.headers && response.headers.get('Retry-After'));
+
+                if (response.status === 429 || response.status >= 500) {
+                    if (retryAfter !== null) pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter);
+                    retry(job, retryAfter !== null ? retryAfter : backoff(job));
+                    return;
+                }
+
+                const data = await response.json();
+                const code = data && data.error && data.error.code;
+                if (code === 'maxlag') {
+                    // Servers are lagged: hold back every request, not just this one
+                    const wait = retryAfter !== null ? retryAfter : 5000;
+                    pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+                    retry(job, wait);
+                    return;
+                }
+                if (code === 'ratelimited') {
+                    retry(job, retryAfter !== null ? retryAfter : backoff(job));
+                    return;
+                }
+                job.resolve(data);
+            } catch (e) {
+                job.reject(isAbortError(e) || job.controller.signal.aborted ? createAbortError() : e);
+            } finally {
+                active.delete(job);
+                pump();
+            }
+        }
+
+        // Queue a request and resolve with its parsed JSON body.
+        // init is passed to fetch; init.signal cancels just this request.
+        function fetchJson(url, init = {}) {
+            return new Promise((resolve, reject) => {
+                const { signal, ...rest } = init;
+                const controller = new AbortController();
+                const job = { url, init: rest, attempt: 0, controller, resolve, reject };
+
+                if (signal) {
+                    if (signal.aborted) {
+                        reject(createAbortError());
+                        return;
+                    }
+                    signal.addEventListener('abort', () => cancelJob(job));
+                }
+                queue.push(job);
+                pump();
+            });
+        }
+
+        function cancelJob(job) {
+            const index = queue.indexOf(job);
+            if (index !== -1) queue.splice(index, 1);
+            clearTimeout(waiting.get(job));
+            waiting.delete(job);
+            job.controller.abort();
+            job.reject(createAbortError());
+            notify();
+        }
+
+        // Cancel every queued, running and retry-waiting request
+        function cancelAll() {
+            waiting.forEach(clearTimeout);
+            const jobs = queue.splice(0).concat(Array.from(active), Array.from(waiting.keys()));
+            waiting.clear();
+            jobs.forEach(job => {
+                job.controller.abort();
+                job.reject(createAbortError());
+            });
+            notify();
+        }
+
+        configure(options);
+
+        return { fetchJson, configure, cancelAll, onChange, getState };
+    }
+
+    let sharedScheduler = null;
+
+    // The scheduler all core API calls go through. Requests are cancelled when the page is left.
+    function getScheduler() {
+        if (!sharedScheduler) {
+            sharedScheduler = createRequestScheduler();
+            if (root.addEventListener) {
+                root.addEventListener('pagehide', () => sharedScheduler.cancelAll());
+            }
+        }
+        return sharedScheduler;
+    }
+
+    // Scheduler for an API helper: an explicit one, a private one around a custom fetch, or the shared one
+    function schedulerFor(options) {
+        if (options.scheduler) return options.scheduler;
+        if (options.fetch) return createRequestScheduler({ fetch: options.fetch, requestsPerMinute: Infinity, burst: Infinity });
+        return getScheduler();
+    }
+
+    // ==================== BATCHED QUERIES ====================
+
+    const TITLE_LIMIT = 50;
+    const HIGH_TITLE_LIMIT = 500; // users with the apihighlimits right (admins, bots)
+    const titleLimits = new Map();
+
+    // "Too many values supplied for parameter "titles". The limit is 50."
+    const TOO_MANY_TITLES = /too many values supplied for parameter "titles"\. The limit is (\d+)/i;
+
+    // origin=* makes the API treat a request as logged out, so only add it for other wikis
+    function isSameOrigin(apiUrl) {
+        return !!root.location && new URL(apiUrl, root.location.href).origin === root.location.origin;
+    }
+
+    // How many titles one query may carry for the current user on this wiki
+    function getTitleLimit(apiUrl, scheduler) {
+        if (!titleLimits.has(apiUrl)) {
+            titleLimits.set(apiUrl, isSameOrigin(apiUrl)
+                ? fetchTitleLimit(apiUrl, scheduler)
+                : Promise.resolve(TITLE_LIMIT));
+        }
+        return titleLimits.get(apiUrl);
+    }
+
+    async function fetchTitleLimit(apiUrl, scheduler) {
+        try {
+            const params = new URLSearchParams({
+                action: 'query',
+                meta: 'userinfo',
+                uiprop: 'rights',
+                format: 'json',
+                formatversion: '2'
+            });
+            const data = await scheduler.fetchJson(`${apiUrl}?${params}`);
+            const rights = (data.query && data.query.userinfo && data.query.userinfo.rights) || [];
+            return rights.includes('apihighlimits') ? HIGH_TITLE_LIMIT : TITLE_LIMIT;
+        } catch (e) {
+            titleLimits.delete(apiUrl); // Ask again next time
+            return TITLE_LIMIT;
+        }
+    }
+
+    // GET while the URL stays short, POST for long title lists
+    function sendQuery(apiUrl, scheduler, params, signal) {
+        const body = new URLSearchParams(params);
+        const url = `${apiUrl}?${body}`;
+        if (url.length <= DEFAULT_CONFIG.maxGetUrlLength) return scheduler.fetchJson(url, { signal });
+
+        // origin has to stay in the query string for CORS
+        body.delete('origin');
+        return scheduler.fetchJson(params.origin ? `${apiUrl}?origin=${params.origin}` : apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString(),
+            signal
+        });
+    }
+
+    function apiWarnings(data) {
+        const warnings = data.warnings || {};
+        return Object.keys(warnings).map(module => warnings[module].warnings || warnings[module]['*'] || '');
+    }
+
+    // Merge a continued page into what earlier responses returned for it
+    function mergePage(target, page) {
+        Object.keys(page).forEach(key => {
+            const value = page[key];
+            if (Array.isArray(value) && Array.isArray(target[key])) {
+                target[key] = target[key].concat(value);
+            } else if (value && typeof value === 'object' && target[key] && typeof target[key] === 'object') {
+                Object.assign(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+    }
+
+    // Run a prop module of action=query over any number of titles. Titles are packed up to the
+    // API's limit per request, long batches go by POST, continuation is followed to the end and
+    // titles the API dropped with a "too many values" warning are sent again.
+    // options.maxContinue caps the continuation requests per batch (default: no cap).
+    // Resolves with one merged { normalized, redirects, pages } in formatversion 2 shapes.
+    async function queryTitles(titles, params = {}, options = {}) {
+        const apiUrl = options.apiUrl || getApiUrl(options.lang);
+        const scheduler = schedulerFor(options);
+        const normalized = new Map();
+        const redirects = new Map();
+        const pages = new Map();
+        const pending = Array.from(new Set(titles));
+        let limit = Math.min(await getTitleLimit(apiUrl, scheduler), options.batchSize || Infinity);
+
+        while (pending.length) {
+            const batch = pending.splice(0, limit);
+            const batchPages = new Map();
+            let cont = {};
+            let continued = 0;
+            try {
+                do {
+                    const request = {
+                        action: 'query',
+                        ...params,
+                        titles: batch.join('|'),
+                        format: 'json',
+                        formatversion: '2',
+                        ...cont
+                    };
+                    if (!isSameOrigin(apiUrl)) request.origin = '*';
+                    const data = await sendQuery(apiUrl, scheduler, request, options.signal);
+                    if (data.error) throw new Error(`${data.error.code}: ${data.error.info}`);
+
+                    apiWarnings(data).forEach(warning => {
+                        const tooMany = warning.match(TOO_MANY_TITLES);
+                        if (!tooMany) {
+                            console.warn('API warning:', warning);
+                            return;
+                        }
+                        // Only the first titles were looked at: remember the real limit and requeue the rest
+                        limit = Math.min(limit, Number(tooMany[1]));
+                        titleLimits.set(apiUrl, Promise.resolve(limit));
+                        pending.unshift(...batch.splice(limit));
+                    });
+
+                    const query = data.query || {};
+                    (query.normalized || []).forEach(n => normalized.set(n.from, n));
+                    (query.redirects || []).forEach(r => redirects.set(r.from, r));
+                    (query.pages || []).forEach(page => {
+                        if (batchPages.has(page.title)) mergePage(batchPages.get(page.title), page);
+                        else batchPages.set(page.title, { ...page });
+                    });
+                    cont = continued++ < (options.maxContinue !== undefined ? options.maxContinue : Infinity)
+                        ? data.continue || null
+                        : null;
+                } while (cont);
+                batchPages.forEach((page, title) => pages.set(title, page));
+            } catch (e) {
+                if (isAbortError(e)) throw e;
+                console.error(`Error querying ${batch.length} titles:`, e);
+            }
+        }
+
+        return {
+            normalized: Array.from(normalized.values()),
+            redirects: Array.from(redirects.values()),
+            pages: Array.from(pages.values())
+        };
+    }
+
+    // ==================== TITLE RESOLUTION ====================
+
+    // Follow the API's chain for a title we asked for: as sent -> normalized ("usa" -> "Usa")
+    // -> redirect target ("USA" -> "United States"). Returns title -> { page, redirect }.
+    function followTitles(query) {
+        const normalized = new Map(query.normalized.map(n => [n.from, n.to]));
+        const redirects = new Map(query.redirects.map(r => [r.from, r]));
+        const pages = new Map(query.pages.map(page => [page.title, page]));
+
+        return function follow(title) {
+            const asNormalized = normalized.get(title) || title;
+            const redirect = redirects.get(asNormalized) || null;
+            return { page: pages.get(redirect ? redirect.to : asNormalized) || null, redirect };
+        };
+    }
+
+    function createTitleResolver(options = {}) {
+        const apiUrl = options.apiUrl || getApiUrl(options.lang);
+        const cache = options.cache || createTitleCache({ host: new URL(apiUrl).host });
+        const batchSize = options.batchSize || DEFAULT_CONFIG.batchSize;
+        const scheduler = schedulerFor(options);
+        const normalize = createNormalizer(options);
+        const known = new Map(); // title -> record, each title is looked up once per resolver
+
+        async function queryRecords(titles) {
+            const query = await queryTitles(titles, {
+                redirects: '1',
+                prop: 'pageprops',
+                ppprop: 'disambiguation'
+            }, { apiUrl, scheduler, batchSize });
+            const follow = followTitles(query);
+            const results = new Map();
+
+            titles.forEach(title => {
+                const { page, redirect } = follow(title);
+                if (!page) return;
+                results.set(title, {
+                    title: page.title,
+                    exists: !page.missing && !page.invalid,
+                    disambiguation: !!(page.pageprops && page.pageprops.disambiguation !== undefined),
+                    redirectFrom: redirect ? redirect.from : null,
+                    fragment: redirect && redirect.tofragment ? redirect.tofragment : null
+                });
+            });
+            return results;
+        }
+
+        async function lookup(titles) {
+            const results = new Map();
+            titles.forEach(title => {
+                if (known.has(title)) results.set(title, known.get(title));
+            });
+            const unknown = titles.filter(title => !results.has(title));
+            if (!unknown.length) return results;
+
+            const cached = await cache.getMany(unknown);
+            cached.forEach((record, title) => {
+                results.set(title, record);
+                known.set(title, record);
+            });
+            const toCheck = unknown.filter(title => !cached.has(title));
+            if (!toCheck.length) return results;
+
+            try {
+                const fresh = await queryRecords(toCheck);
+                fresh.forEach((record, title) => {
+                    results.set(title, record);
+                    known.set(title, record);
+                });
+                await cache.setMany(fresh);
+            } catch (e) {
+                if (!isAbortError(e)) console.error('Error checking titles:', e);
+            }
+            return results;
+        }
+
+        // Resolve surface strings to { title, exists, disambiguation, redirectFrom, fragment, variant,
+        // expansion }, keyed by the input string.
+        // title is the canonical page after normalization and redirects. A surface without a page
+        // is retried in its normalizer forms ("algorithms" -> "algorithm"), variant is the form
+        // that was found (null for the surface itself). With resolveOptions.acronyms (from
+        // findAcronymDefinitions) an acronym whose expansion has an article resolves to that
+        // article, expansion is then the expanded form.
+        async function resolve(titles, resolveOptions = {}) {
+            const results = await resolveSurfaces(titles);
+            const acronyms = resolveOptions.acronyms || new Map();
+            const defined = titles.filter(title => acronyms.has(title));
+            if (!defined.length) return results;
+
+            const expansions = await resolveSurfaces(Array.from(new Set(defined.map(title => acronyms.get(title)))));
+            defined.forEach(title => {
+                const record = expansions.get(acronyms.get(title));
+                if (record && record.exists && !record.disambiguation) {
+                    results.set(title, { ...record, expansion: acronyms.get(title) });
+                }
+            });
+            return results;
+        }
+
+        async function resolveSurfaces(titles) {
+            const results = await lookup(titles);
+            const variants = new Map();
+            results.forEach((record, title) => {
+                if (!record.exists) variants.set(title, normalize(title).slice(1));
+                else results.set(title, { ...record, variant: null });
+            });
+
+            const forms = Array.from(new Set([].concat(...variants.values())));
+            const found = forms.length ? await lookup(forms) : new Map();
+            variants.forEach((titleForms, title) => {
+                const form = titleForms.find(f => found.has(f) && found.get(f).exists);
+                results.set(title, form ? { ...found.get(form), variant: form } : { ...results.get(title), variant: null });
+            });
+            results.forEach((record, title) => results.set(title, { ...record, expansion: null }));
+            return results;
+        }
+
+        return { resolve, apiUrl, scheduler };
+    }
+
+    // ==================== ARTICLE LINKS ====================
+
+    // Titles already linked in rendered content
+    function collectLinkedTitles(rootElement) {
+        const titles = new Set();
+        rootElement.querySelectorAll('a[href^="/wiki/"]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (href.includes(':')) return;
+            try {
+                titles.add(decodeURIComponent(href.replace('/wiki/', '').split('#')[0]).replace(/_/g, ' ').toLowerCase());
+            } catch (e) {
+                // Malformed escape sequence in href, ignore this link
+            }
+            titles.add(link.textContent.trim().toLowerCase());
+        });
+        return titles;
+    }
+
+    // What surrounds an article: the articles it links to (links), optionally the articles
+    // linking to it (linksHere) and the templates it uses (templates, namespace prefix dropped).
+    // Each is a Map lowercase title -> title. One model serves both exclusion and scoring.
+    function createNeighbourhood(title, data = {}) {
+        const links = data.links || new Map();
+        const linksHere = data.linksHere || new Map();
+        const templates = data.templates || new Map();
+
+        return {
+            title,
+            links,
+            linksHere,
+            templates,
+
+            // Already linked from the article
+            isLinked(target) {
+                return !!target && links.has(target.toLowerCase());
+            },
+
+            // 0..1, how closely a title is tied to the article
+            relatedness(target) {
+                const lower = target.toLowerCase();
+                let score = 0;
+                if (links.has(lower)) score += 0.5;
+                // Articles linking back are usually on the same topic
+                if (linksHere.has(lower)) score += 0.3;
+                // Topic navboxes are named after their subject, e.g. {{Solar System}}
+                if (templates.has(lower)) score += 0.2;
+                return Math.min(1, score);
+            }
+        };
+    }
+
+    function titleMap(items, stripNamespace) {
+        const map = new Map();
+        (items || []).forEach(item => {
+            const title = stripNamespace ? item.title.slice(item.title.indexOf(':') + 1) : item.title;
+            map.set(title.toLowerCase(), title);
+        });
+        return map;
+    }
+
+    // Fetch an article's neighbourhood, following continuation so large articles are complete.
+    // options.linksHere and options.templates add the optional parts.
+    async function fetchArticleNeighbourhood(title, options = {}) {
+        const params = { prop: 'links', plnamespace: '0', pllimit: 'max' };
+        // tl* parameters without prop=templates earn an "Unrecognized parameters" warning
+        if (options.templates) Object.assign(params, { prop: 'links|templates', tlnamespace: '10', tllimit: 'max' });
+        const data = {};
+
+        try {
+            const query = await queryTitles([title], params, options);
+            const page = query.pages[0] || {};
+            data.links = titleMap(page.links);
+            if (options.templates) data.templates = titleMap(page.templates, true);
+
+            if (options.linksHere) {
+                const backlinks = await queryTitles([title], {
+                    prop: 'linkshere',
+                    lhnamespace: '0',
+                    lhprop: 'title',
+                    lhlimit: 'max'
+                }, { ...options, maxContinue: DEFAULT_CONFIG.maxBacklinkRequests - 1 });
+                data.linksHere = titleMap((backlinks.pages[0] || {}).linkshere);
+            }
+        } catch (e) {
+            if (!isAbortError(e)) console.error('Error fetching article neighbourhood:', e);
+        }
+
+        return createNeighbourhood(title, data);
+    }
+
+    // Outgoing links of an article as a set of lowercase titles
+    async function fetchArticleLinks(title, options = {}) {
+        const neighbourhood = await fetchArticleNeighbourhood(title, options);
+        return new Set(neighbourhood.links.keys());
+    }
+
+    // Article links listed on disambiguation pages: Map title -> [candidate targets]
+    async function fetchDisambiguationTargets(titles, options = {}) {
+        const targets = new Map(titles.map(title => [title, []]));
+
+        try {
+            // pllimit is shared by all pages in a batch, queryTitles follows the continuation
+            const query = await queryTitles(titles, {
+                prop: 'links',
+                plnamespace: '0',
+                pllimit: 'max'
+            }, options);
+            query.pages.forEach(page => {
+                if (!page.links || !targets.has(page.title)) return;
+                page.links.forEach(link => targets.get(page.title).push(link.title));
+            });
+        } catch (e) {
+            if (!isAbortError(e)) console.error('Error fetching disambiguation targets:', e);
+        }
+
+        return targets;
+    }
+
+    // ==================== LANGUAGES ====================
+
+    // Language codes whose Wikipedia lives under another subdomain
+    const WIKI_SUBDOMAINS = {
+        nb: 'no',
+        gsw: 'als',
+        lzh: 'zh-classical',
+        nan: 'zh-min-nan',
+        yue: 'zh-yue',
+        'be-tarask': 'be-tarask'
+    };
+
+    // Content language of the current wiki: "hi" on hi.wikipedia.org
+    function getContentLanguage() {
+        if (root.mw && root.mw.config && root.mw.config.get('wgContentLanguage')) {
+            return root.mw.config.get('wgContentLanguage');
+        }
+        const match = root.location && root.location.hostname.match(/^([a-z0-9-]+)\.(?:m\.)?wikipedia\.org$/);
+        return match ? match[1] : 'en';
+    }
+
+    // Wikipedia edition for a language code: "pt-br" -> "pt", "nb" -> "no"
+    function getWikiLanguage(code) {
+        const lower = code.toLowerCase();
+        return WIKI_SUBDOMAINS[lower] || lower.split('-')[0];
+    }
+
+    // Babel boxes in user page wikitext: {{Babel|en|hi-3|gu-N}}, {{#babel:de-2}} and {{User fr-1}}.
+    // Returns [{ lang, level }] in page order, level is '0'..'5' or 'N' (a bare code means native).
+    function parseBabel(wikitext) {
+        const found = new Map();
+
+        function add(code) {
+            const match = code.trim().toLowerCase().match(/^([a-z]{2,3}(?:-[a-z]{2,8})*?)(?:-([0-5n]))?$/);
+            if (!match || found.has(match[1])) return;
+            found.set(match[1], (match[2] || 'n').toUpperCase());
+        }
+
+        const boxes = /\{\{\s*(?:#babel\s*:|babel\s*\|)([^}]*)\}\}/gi;
+        let box;
+        while ((box = boxes.exec(wikitext)) !== null) {
+            // Named parameters (align=left, plain=1) are layout options, not languages
+            box[1].split('|').filter(part => !part.includes('=')).forEach(add);
+        }
+
+        const userBoxes = /\{\{\s*User[ _]([a-z]{2,3}(?:-[a-z0-9]{1,8})*)\s*\}\}/gi;
+        let userBox;
+        while ((userBox = userBoxes.exec(wikitext)) !== null) add(userBox[1]);
+
+        return Array.from(found, ([lang, level]) => ({ lang, level }));
+    }
+
+    // Strongest first, languages the user does not read (level 0) dropped
+    function babelLanguages(entries) {
+        const rank = level => level === 'N' ? 6 : Number(level);
+        const languages = entries
+            .filter(entry => rank(entry.level) > 0)
+            .sort((a, b) => rank(b.level) - rank(a.level))
+            .map(entry => getWikiLanguage(entry.lang));
+        return Array.from(new Set(languages));
+    }
+
+    async function fetchBabel(user, options) {
+        const apiUrl = options.apiUrl || getApiUrl(options.lang);
+        const scheduler = schedulerFor(options);
+
+        // The Babel extension answers directly, including boxes from global user pages
+        const babelParams = new URLSearchParams({
+            action: 'query',
+            meta: 'babel',
+            babuser: user,
+            format: 'json',
+            formatversion: '2',
+            origin: '*'
+        });
+        const data = await scheduler.fetchJson(`${apiUrl}?${babelParams}`);
+        if (data.query && data.query.babel) {
+            return Object.keys(data.query.babel).map(lang => ({ lang, level: String(data.query.babel[lang]).toUpperCase() }));
+        }
+
+        // No Babel extension: read the templates from the user page itself
+        const pageParams = new URLSearchParams({
+            action: 'query',
+            titles: `User:${user}`,
+            prop: 'revisions',
+            rvprop: 'content',
+            rvslots: 'main',
+            format: 'json',
+            formatversion: '2',
+            origin: '*'
+        });
+        const pageData = await scheduler.fetchJson(`${apiUrl}?${pageParams}`);
+        const page = pageData.query && pageData.query.pages && pageData.query.pages[0];
+        const revision = page && page.revisions && page.revisions[0];
+        return revision ? parseBabel(revision.slots.main.content) : [];
+    }
+
+    // Languages the user reads according to their Babel box, strongest first: ['en', 'hi', ...].
+    // options.fixture (user page wikitext) replaces the live lookup, e.g. for testing.
+    // Logged-out users and users without a Babel box get the wiki's own language.
+    async function getUserLanguages(options = {}) {
+        const fallback = [getContentLanguage()];
+        if (options.fixture) {
+            const languages = babelLanguages(parseBabel(options.fixture));
+            return languages.length ? languages : fallback;
+        }
+
+        const user = options.user || (root.mw && root.mw.config && root.mw.config.get('wgUserName'));
+        if (!user) return fallback;
+
+        try {
+            const languages = babelLanguages(await fetchBabel(user, options));
+            return languages.length ? languages : fallback;
+        } catch (e) {
+            if (!isAbortError(e)) console.error('Error reading Babel box:', e);
+            return fallback;
+        }
+    }
+
+    // ==================== WIKIDATA ====================
+
+    const WIKIDATA_API = 'https://www.wikidata.org/w/api.php';
+
+    // Sitelink id of a language edition: "en" -> "enwiki", "zh-min-nan" -> "zh_min_nanwiki"
+    function getSiteId(lang) {
+        return `${getWikiLanguage(lang).replace(/-/g, '_')}wiki`;
+    }
+
+    // Wikidata items of titles on one wiki: Map title as given -> QID, following redirects.
+    // Disambiguation pages are left out, their items only connect other disambiguation pages.
+    async function fetchWikidataItems(titles, options = {}) {
+        const items = new Map();
+
+        try {
+            const query = await queryTitles(titles, {
+                redirects: '1',
+                prop: 'pageprops',
+                ppprop: 'wikibase_item|disambiguation'
+            }, options);
+            const follow = followTitles(query);
+            titles.forEach(title => {
+                const props = (follow(title).page || {}).pageprops;
+                if (props && props.wikibase_item && props.disambiguation === undefined) {
+                    items.set(title, props.wikibase_item);
+                }
+            });
+        } catch (e) {
+            if (!isAbortError(e)) console.error('Error fetching Wikidata items:', e);
+        }
+
+        return items;
+    }
+
+    // Sitelinks of Wikidata items in the given languages: Map QID -> Map lang -> title
+    async function fetchSitelinks(items, languages, options = {}) {
+        const apiUrl = options.wikidataApiUrl || WIKIDATA_API;
+        const scheduler = schedulerFor(options);
+        const sites = new Map(languages.map(lang => [getSiteId(lang), getWikiLanguage(lang)]));
+        const ids = Array.from(new Set(items));
+        const sitelinks = new Map();
+
+        // wbgetentities takes 50 ids per request for anonymous cross-origin calls
+        for (let i = 0; i < ids.length; i += TITLE_LIMIT) {
+            const batch = ids.slice(i, i + TITLE_LIMIT);
+            try {
+                const params = new URLSearchParams({
+                    action: 'wbgetentities',
+                    ids: batch.join('|'),
+                    props: 'sitelinks',
+                    sitefilter: Array.from(sites.keys()).join('|'),
+                    format: 'json',
+                    formatversion: '2',
+                    origin: '*'
+                });
+                const data = await scheduler.fetchJson(`${apiUrl}?${params}`);
+                // Keyed by the id we asked for, merged items answer under their old id too
+                Object.keys(data.entities || {}).forEach(id => {
+                    const links = new Map();
+                    Object.values(data.entities[id].sitelinks || {}).forEach(link => {
+                        if (sites.has(link.site)) links.set(sites.get(link.site), link.title);
+                    });
+                    sitelinks.set(id, links);
+                });
+            } catch (e) {
+                if (isAbortError(e)) break;
+                console.error('Error fetching sitelinks:', e);
+            }
+        }
+
+        return sitelinks;
+    }
+
+    // ==================== MATCHING ====================
+
+    const WORD_CHAR = /[\p{L}\p{M}\p{N}_]/u;
+    const SPACE_CHAR = /\s/;
+
+    // Compile terms (Map lower surface -> term data) into a character trie once, then find
+    // every occurrence in a text in a single left-to-right pass. Matching is case-insensitive,
+    // any run of whitespace matches a single space, matches must sit on word boundaries (any
+    // character boundary in CJK and Thai text) and
+    // the longest term wins where several start at the same position.
+    function createMatcher(terms) {
+        const trie = { children: new Map(), key: null };
+
+        terms.forEach((data, lower) => {
+            const key = lower.replace(/\s+/g, ' ');
+            let node = trie;
+            // Walk code units, the same way the scan below indexes the text
+            for (let i = 0; i < key.length; i++) {
+                for (const c of key[i].toLowerCase()) {
+                    if (!node.children.has(c)) node.children.set(c, { children: new Map(), key: null });
+                    node = node.children.get(c);
+                }
+            }
+            node.key = lower;
+        });
+
+        function isWordChar(text, index) {
+            return index >= 0 && index < text.length && WORD_CHAR.test(text[index]);
+        }
+
+        // Whether text[index - 1] and text[index] belong to the same word. In scripts written
+        // without spaces (CJK, Thai) every position is a possible boundary.
+        function continuesWord(text, index) {
+            return isWordChar(text, index - 1) && isWordChar(text, index) &&
+                !UNSPACED.test(text[index - 1]) && !UNSPACED.test(text[index]);
+        }
+
+        // Longest term starting at index, as { end, key } or null
+        function longestAt(text, index) {
+            let node = trie;
+            let best = null;
+            let inSpace = false;
+
+            for (let i = index; i < text.length; i++) {
+                const ch = text[i];
+                if (SPACE_CHAR.test(ch)) {
+                    if (inSpace) continue;
+                    inSpace = true;
+                    node = node.children.get(' ');
+                } else {
+                    inSpace = false;
+                    for (const c of ch.toLowerCase()) {
+                        node = node && node.children.get(c);
+                    }
+                }
+                if (!node) break;
+                if (node.key !== null && !inSpace && !continuesWord(text, i + 1)) {
+                    best = { end: i + 1, key: node.key };
+                }
+            }
+            return best;
+        }
+
+        function findAll(text) {
+            const matches = [];
+            let i = 0;
+            while (i < text.length) {
+                // Only try at word starts
+                if (continuesWord(text, i) || SPACE_CHAR.test(text[i])) {
+                    i++;
+                    continue;
+                }
+                const found = longestAt(text, i);
+                if (found) {
+                    matches.push({
+                        start: i,
+                        end: found.end,
+                        text: text.slice(i, found.end),
+                        key: found.key,
+                        data: terms.get(found.key)
+                    });
+                    i = found.end;
+                } else {
+                    i++;
+                }
+            }
+            return matches;
+        }
+
+        return { terms, findAll };
+    }
+
+    // ==================== TEXT MODEL ====================
+
+    // Stands in for skipped and line-breaking elements, no phrase or match crosses it
+    const SEPARATOR = '\uFFFC';
+    const BREAKING_TAGS = new Set(['BR', 'HR', 'P', 'DIV', 'LI', 'UL', 'OL', 'DL', 'DT', 'DD', 'TABLE', 'TR', 'TD', 'TH',
+                                   'BLOCKQUOTE', 'FIGURE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+    // An element's text as one string, mapped back to its text nodes, so candidates and matches
+    // can run across inline markup like "New <i>York</i> Times". Text inside skipSelector is left
+    // out and, like block elements and <br>, leaves a SEPARATOR behind. What a script added inside
+    // a highlight (a count badge) is no article text and left out without one.
+    // segments: [{ node, start, end }] in document order, offsets into text.
+    function createTextModel(rootElement, options = {}) {
+        const skipSelector = options.skipSelector || DEFAULT_CONFIG.skipSelector;
+        const segments = [];
+        let text = '';
+
+        function separate() {
+            if (text && !text.endsWith(SEPARATOR)) text += SEPARATOR;
+        }
+
+        function walk(parent) {
+            for (const child of Array.from(parent.childNodes)) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    if (!child.data) continue;
+                    segments.push({ node: child, start: text.length, end: text.length + child.data.length });
+                    text += child.data;
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (parent.nodeType === Node.ELEMENT_NODE && parent.matches('[data-wlh]')) continue;
+                    if (child.matches(skipSelector)) {
+                        separate();
+                        continue;
+                    }
+                    const breaking = BREAKING_TAGS.has(child.tagName);
+                    if (breaking) separate();
+                    walk(child);
+                    if (breaking) separate();
+                }
+            }
+        }
+
+        walk(rootElement);
+
+        // Segment holding a text offset. A start offset on a node boundary belongs to the
+        // following node, an end offset (atEnd) to the preceding one.
+        function segmentAt(offset, atEnd) {
+            let low = 0;
+            let high = segments.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                const segment = segments[mid];
+                if (atEnd ? offset <= segment.start : offset < segment.start) high = mid - 1;
+                else if (atEnd ? offset > segment.end : offset >= segment.end) low = mid + 1;
+                else return segment;
+            }
+            return null;
+        }
+
+        // DOM position of a text offset: { node, offset } or null on a separator
+        function locate(offset, atEnd) {
+            const segment = segmentAt(offset, atEnd);
+            return segment ? { node: segment.node, offset: offset - segment.start } : null;
+        }
+
+        // The pieces of text nodes that make up text.slice(start, end): [{ node, start, end }]
+        // with offsets inside each node
+        function slices(start, end) {
+            return segments
+                .filter(segment => segment.end > start && segment.start < end)
+                .map(segment => ({
+                    node: segment.node,
+                    start: Math.max(start, segment.start) - segment.start,
+                    end: Math.min(end, segment.end) - segment.start
+                }));
+        }
+
+        return { text, segments, locate, slices };
+    }
+
+    // ==================== WIKITEXT ====================
+
+    // Tags whose content is never prose: skipped with the tags themselves
+    const OPAQUE_TAGS = new Set(['ref', 'references', 'nowiki', 'math', 'chem', 'ce', 'code', 'pre', 'syntaxhighlight',
+                                 'source', 'score', 'timeline', 'gallery', 'imagemap', 'graph', 'mapframe',
+                                 'templatedata', 'templatestyles', 'sup', 'sub', 'style', 'script']);
+    // Formatting tags that sit inside a phrase: "New <i>York</i>" stays one phrase
+    const INLINE_TAGS = new Set(['b', 'i', 'u', 's', 'em', 'strong', 'small', 'big', 'span', 'abbr', 'font', 'bdi']);
+    // Links that are not article links in running text: files, categories, interlanguage links
+    const NON_PROSE_LINK = /^\s*(?:file|image|media|category)\s*:|^\s*[a-z]{2,3}(?:-[a-z]+)*\s*:/i;
+    const ENTITIES = { nbsp: ' ', ndash: '–', mdash: '—', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+    // Sticky patterns, matched at one position without slicing the wikitext (long articles stay linear)
+    const WIKI_PLAIN = /[^<{[\]'_&\n]+/y;
+    const WIKI_TAG = /<(\/?)([a-zA-Z][\w-]*)\b[^<>]*?(\/?)>/y;
+    const WIKI_EXTERNAL_LINK = /\[(?:[a-z]+:)?\/\/[^\s\]]+[^\]\n]*\]/iy;
+    const WIKI_HEADING = /(={1,6}).+?\1[ \t]*(?=\n|$)/y;
+    const WIKI_LINE_MARKUP = /(?:[*#:;]+[ \t]*|-{4,})/y;
+    const WIKI_INLINE_MARKUP = /(?:'{2,}|__[A-Z]+__)/y;
+    const LINK_TRAIL = /\p{Ll}+/uy;
+    const WIKI_ENTITY = /&(?:([a-z]+)|#(\d+)|#x([0-9a-f]+));/iy;
+    const closingTags = new Map(); // tag name -> global pattern for its closing tag
+
+    function matchAt(pattern, text, index) {
+        pattern.lastIndex = index;
+        return pattern.exec(text);
+    }
+
+    // Index just past the first closing tag of name at or after index, or -1
+    function findClosingTag(wikitext, name, index) {
+        if (!closingTags.has(name)) closingTags.set(name, new RegExp(`</${name}\\s*>`, 'gi'));
+        const pattern = closingTags.get(name);
+        pattern.lastIndex = index;
+        const match = pattern.exec(wikitext);
+        return match ? match.index + match[0].length : -1;
+    }
+
+    // Index just past the bracket closing the one at start (open/close like '{{' / '}}'),
+    // or -1 when it is never closed
+    function findClosing(wikitext, start, open, close) {
+        let depth = 0;
+        for (let i = start; i < wikitext.length; i++) {
+            if (wikitext.startsWith(open, i)) {
+                depth++;
+                i += open.length - 1;
+            } else if (wikitext.startsWith(close, i)) {
+                depth--;
+                i += close.length - 1;
+                if (depth === 0) return i + 1;
+            }
+        }
+        return -1;
+    }
+
+    function atLineStart(wikitext, index) {
+        return index === 0 || wikitext[index - 1] === '\n';
+    }
+
+    // A tolerant wikitext tokenizer for edit mode. Returns
+    // { text, links, segments, toSource(offset, atEnd) }:
+    // text is the prose, without templates, refs, comments, tables, headings, files, categories,
+    // <nowiki>, <math> and <code>-like tags; links and the other skipped parts leave a SEPARATOR
+    // (like createTextModel), bold/italic quotes, comments and formatting tags vanish.
+    // links: the article links [{ target, fragment, text, start, end }], with wikitext offsets
+    // (end includes a link trail: [[bus]]es).
+    // segments: [{ start, end, source, sourceEnd }] map text back to the wikitext, toSource()
+    // turns a text offset into a wikitext offset. Unclosed markup never throws, it is read as text.
+    function parseWikitext(wikitext) {
+        const segments = [];
+        const links = [];
+        // The text is joined once at the end; reading back a growing string would flatten it every time
+        const pieces = [];
+        let length = 0;
+        let lastChar = '';
+        let runStart = 0;
+        let i = 0;
+
+        function append(piece) {
+            pieces.push(piece);
+            length += piece.length;
+            lastChar = piece[piece.length - 1];
+        }
+
+        function emit(from, to, value) {
+            if (to <= from) return;
+            const piece = value === undefined ? wikitext.slice(from, to) : value;
+            const last = segments[segments.length - 1];
+            if (value === undefined && last && last.end === length && last.sourceEnd === from &&
+                last.end - last.start === last.sourceEnd - last.source) {
+                last.end += piece.length;
+                last.sourceEnd = to;
+            } else {
+                segments.push({ start: length, end: length + piece.length, source: from, sourceEnd: to });
+            }
+            append(piece);
+        }
+
+        function separate() {
+            if (length && lastChar !== SEPARATOR) append(SEPARATOR);
+        }
+
+        // Skip wikitext[i, end): inline markup just disappears, anything else separates
+        function skip(end, inline) {
+            emit(runStart, i);
+            if (!inline) separate();
+            i = end;
+            runStart = end;
+        }
+
+        function addLink(start, end) {
+            const inner = wikitext.slice(start + 2, end - 2);
+            const pipe = inner.indexOf('|');
+            const target = (pipe < 0 ? inner : inner.slice(0, pipe)).trim();
+            if (NON_PROSE_LINK.test(target) || !target) return end;
+            const trail = matchAt(LINK_TRAIL, wikitext, end);
+            const linkEnd = end + (trail ? trail[0].length : 0);
+            const [page, fragment] = target.replace(/^:/, '').split('#');
+            links.push({
+                target: normalizeTitle(page || ''),
+                fragment: fragment === undefined ? null : fragment,
+                text: (pipe < 0 ? target.replace(/^:/, '') : inner.slice(pipe + 1).trim()) + (trail ? trail[0] : ''),
+                start,
+                end: linkEnd
+            });
+            return linkEnd;
+        }
+
+        while (i < wikitext.length) {
+            const rest = wikitext.slice(i, i + 2);
+            const lineStart = atLineStart(wikitext, i);
+            let match;
+
+            // Plain prose up to the next character that can start markup
+            if (!lineStart && (match = matchAt(WIKI_PLAIN, wikitext, i))) {
+                i += match[0].length;
+            } else if (wikitext.startsWith('<!--', i)) {
+                const end = wikitext.indexOf('-->', i + 4);
+                skip(end < 0 ? wikitext.length : end + 3, true);
+            } else if ((match = matchAt(WIKI_TAG, wikitext, i))) {
+                const name = match[2].toLowerCase();
+                let end = i + match[0].length;
+                if (OPAQUE_TAGS.has(name) && !match[1] && !match[3]) {
+                    const close = findClosingTag(wikitext, name, end);
+                    if (close >= 0) end = close;
+                }
+                skip(end, INLINE_TAGS.has(name));
+            } else if (rest === '{{') {
+                const end = findClosing(wikitext, i, '{{', '}}');
+                skip(end < 0 ? i + 2 : end, false);
+            } else if (rest === '{|' && atLineStart(wikitext, i)) {
+                const end = findClosing(wikitext, i, '{|', '|}');
+                skip(end < 0 ? wikitext.length : end, false);
+            } else if (rest === '[[') {
+                const end = findClosing(wikitext, i, '[[', ']]');
+                skip(end < 0 ? i + 2 : addLink(i, end), false);
+            } else if ((match = matchAt(WIKI_EXTERNAL_LINK, wikitext, i))) {
+                skip(i + match[0].length, false);
+            } else if (lineStart && (match = matchAt(WIKI_HEADING, wikitext, i))) {
+                skip(i + match[0].length, false);
+            } else if (lineStart && (match = matchAt(WIKI_LINE_MARKUP, wikitext, i))) {
+                skip(i + match[0].length, true);
+            } else if ((match = matchAt(WIKI_INLINE_MARKUP, wikitext, i))) {
+                skip(i + match[0].length, true);
+            } else if ((match = matchAt(WIKI_ENTITY, wikitext, i)) &&
+                       (match[1] ? ENTITIES[match[1].toLowerCase()] : true)) {
+                const value = match[1] ? ENTITIES[match[1].toLowerCase()]
+                    : String.fromCodePoint(match[2] ? parseInt(match[2], 10) : parseInt(match[3], 16));
+                emit(runStart, i);
+                emit(i, i + match[0].length, value);
+                i += match[0].length;
+                runStart = i;
+            } else {
+                i++;
+            }
+        }
+        emit(runStart, wikitext.length);
+
+        // Wikitext offset of a text offset. A start offset on a segment boundary belongs to the
+        // following segment, an end offset (atEnd) to the preceding one; null on a separator.
+        function toSource(offset, atEnd) {
+            // Segments are in text order: binary search for the last one starting before offset
+            let low = 0;
+            let high = segments.length - 1;
+            let found = -1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (atEnd ? segments[mid].start < offset : segments[mid].start <= offset) {
+                    found = mid;
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            const segment = segments[found];
+            if (!segment || (atEnd ? offset > segment.end : offset >= segment.end)) return null;
+            if (segment.end - segment.start !== segment.sourceEnd - segment.source) {
+                return atEnd ? segment.sourceEnd : segment.source;
+            }
+            return segment.source + offset - segment.start;
+        }
+
+        return { text: pieces.join(''), links, segments, toSource };
+    }
+
+    // The wikitext counterpart of collectLinkedTitles: lowercase targets and link texts
+    function collectWikitextLinks(parsed) {
+        const titles = new Set();
+        parsed.links.forEach(link => {
+            if (link.target) titles.add(link.target.toLowerCase());
+            titles.add(link.text.trim().toLowerCase());
+        });
+        return titles;
+    }
+
+    // ==================== EDITING ====================
+
+    // Occurrences of the matcher's terms in the prose of a wikitext, with wikitext offsets:
+    // [{ start, end, text, key, data, plain }]. plain: the wikitext there is just the text, so it
+    // can be wrapped in a link as-is ("New '''York'''" or "Foo&nbsp;Bar" cannot).
+    function findWikitextOccurrences(wikitext, matcher) {
+        const parsed = parseWikitext(wikitext);
+        return matcher.findAll(parsed.text)
+            .map(match => toWikitextOccurrence(wikitext, parsed, match))
+            .filter(Boolean);
+    }
+
+    // A match in the parsed prose as an occurrence in the wikitext, null if it maps to no source
+    function toWikitextOccurrence(wikitext, parsed, match) {
+        const start = parsed.toSource(match.start);
+        const end = parsed.toSource(match.end, true);
+        if (start === null || end === null) return null;
+        return {
+            start,
+            end,
+            text: match.text,
+            key: match.key,
+            data: match.data,
+            plain: wikitext.slice(start, end) === match.text
+        };
+    }
+
+    // Rendered prose around a highlight: skipped like in read mode, but with the highlights' own text
+    const LOCATE_SKIP = 'a, sup, sub, cite, code, pre, .reference, .infobox, .navbox, .thumb, .reflist';
+    const LOCATE_CONTEXT = 40; // characters compared on each side
+    const CONTEXT_BREAK = new RegExp(`[\\n${SEPARATOR}]`);
+
+    // The text next to an occurrence, up to the nearest separator or line break: links, templates
+    // and paragraph ends look different in rendered text and in wikitext. Whitespace runs as one space.
+    function contextAround(text, start, end) {
+        return {
+            before: text.slice(Math.max(0, start - LOCATE_CONTEXT), start).split(CONTEXT_BREAK).pop().replace(/\s+/g, ' '),
+            after: text.slice(end, end + LOCATE_CONTEXT).split(CONTEXT_BREAK)[0].replace(/\s+/g, ' ')
+        };
+    }
+
+    // How many characters two contexts agree on as far as both go, null if they differ
+    function sharedContext(a, b) {
+        const before = Math.min(a.before.length, b.before.length);
+        const after = Math.min(a.after.length, b.after.length);
+        if (a.before.slice(a.before.length - before) !== b.before.slice(b.before.length - before)) return null;
+        if (a.after.slice(0, after) !== b.after.slice(0, after)) return null;
+        return before + after;
+    }
+
+    // The wikitext occurrence of a highlight clicked in the rendered page (a preview), told apart
+    // from the others by the text around it. Returns an occurrence like findWikitextOccurrences(),
+    // or null when the wikitext does not say which one was clicked: none fits, several fit as well,
+    // or the one that fits shares no text around it.
+    function locateHighlightInWikitext(mark, wikitext) {
+        const first = getHighlightParts(mark)[0];
+        const block = first.parentElement.closest('p, li, dd, dt, td, th, blockquote, figcaption') || first.parentElement;
+        const model = createTextModel(block, { skipSelector: LOCATE_SKIP });
+        const segment = model.segments.find(s => s.node.parentNode === first);
+        if (!segment) return null;
+        const surface = mark.dataset.surface || segment.node.data;
+        const clicked = contextAround(model.text, segment.start, segment.start + surface.length);
+
+        const parsed = parseWikitext(wikitext);
+        const matcher = createMatcher(new Map([[surface.toLowerCase(), {}]]));
+        let best = null;
+        let bestScore = -1;
+        let tied = false;
+        matcher.findAll(parsed.text).forEach(match => {
+            const score = sharedContext(clicked, contextAround(parsed.text, match.start, match.end));
+            if (score === null || score < bestScore) return;
+            tied = score === bestScore;
+            if (!tied) {
+                best = match;
+                bestScore = score;
+            }
+        });
+        return best && !tied && bestScore > 0 ? toWikitextOccurrence(wikitext, parsed, best) : null;
+    }
+
+    // ==================== EDITORS ====================
+
+    // One interface over the wikitext editors: the plain textarea, CodeMirror 5 (the legacy syntax
+    // highlighter) and CodeMirror 6. With CodeMirror on, wpTextbox1 is hidden and stale until submit,
+    // so the text must come from the editor. An editor is
+    // { type, getText(), replace(start, end, text), mark(ranges, className), clearMarks(), onChange(fn) };
+    // onChange returns a function that unsubscribes.
+
+    const CODEMIRROR6_LIB = 'ext.CodeMirror.v6.lib';
+    let codeMirror6View = null;
+    // One editor per textarea, CodeMirror instance or view: its marks stay reachable for clearMarks(),
+    // and a CodeMirror 6 view gets its decoration field only once
+    const editors = new WeakMap();
+
+    function editorFor(key, create) {
+        if (!editors.has(key)) editors.set(key, create());
+        return editors.get(key);
+    }
+
+    // ext.CodeMirror announces its editor, CodeMirror 6 has no DOM handle to find it by
+    if (root.mw && root.mw.hook) {
+        root.mw.hook('ext.CodeMirror.ready').add((textarea, codeMirror) => {
+            // The CodeMirror wrapper (its .view) or the EditorView itself; CodeMirror 5 has no dispatch()
+            const view = codeMirror && (codeMirror.view || codeMirror);
+            if (view && typeof view.dispatch === 'function') codeMirror6View = view;
+        });
+    }
+
+    // Replace value[start, end) like typing would: execCommand keeps the edit on the browser's
+    // undo stack, setRangeText is the fallback. The caret and scroll position stay where they were.
+    function replaceInTextarea(textarea, start, end, text) {
+        const { selectionStart, selectionEnd, scrollTop } = textarea;
+        const delta = text.length - (end - start);
+        // Positions after the replaced text move with it, positions inside end up after the new text
+        const shift = pos => (pos >= end ? pos + delta : pos > start ? start + text.length : pos);
+
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+        let inserted = false;
+        try {
+            inserted = document.execCommand('insertText', false, text);
+        } catch (e) {
+            // Not supported (old Firefox): fall back below
+        }
+        if (!inserted || textarea.value.slice(start, start + text.length) !== text) {
+            textarea.setRangeText(text, start, end, 'end');
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        textarea.setSelectionRange(shift(selectionStart), shift(selectionEnd));
+        textarea.scrollTop = scrollTop;
+    }
+
+    // A textarea cannot show marks inside its text: mark() does nothing
+    function createTextareaEditor(textarea) {
+        return {
+            type: 'textarea',
+            element: textarea,
+            getText: () => textarea.value,
+            replace: (start, end, text) => replaceInTextarea(textarea, start, end, text),
+            mark() {},
+            clearMarks() {},
+            onChange(fn) {
+                textarea.addEventListener('input', fn);
+                return () => textarea.removeEventListener('input', fn);
+            }
+        };
+    }
+
+    // CodeMirror 5: marks are markText() markers, replacements go through its own history
+    function createCodeMirror5Editor(cm) {
+        let markers = [];
+
+        function clearMarks() {
+            markers.forEach(marker => marker.clear());
+            markers = [];
+        }
+
+        return {
+            type: 'codemirror5',
+            element: cm.getWrapperElement(),
+            getText: () => cm.getValue(),
+            replace(start, end, text) {
+                cm.replaceRange(text, cm.posFromIndex(start), cm.posFromIndex(end), '+wlh');
+            },
+            mark(ranges, className) {
+                cm.operation(() => {
+                    clearMarks();
+                    markers = ranges.map(range => cm.markText(cm.posFromIndex(range.start), cm.posFromIndex(range.end), {
+                        className
+                    }));
+                });
+            },
+            clearMarks: () => cm.operation(clearMarks),
+            onChange(fn) {
+                cm.on('changes', fn);
+                return () => cm.off('changes', fn);
+            }
+        };
+    }
+
+    // CodeMirror 6: replacements are transactions, marks a decoration field added to the view on
+    // first use. The field needs CodeMirror's classes: options.lib, or the ext.CodeMirror module.
+    function createCodeMirror6Editor(view, options = {}) {
+        let marks = null;
+
+        function getLib() {
+            if (options.lib) return Promise.resolve(options.lib);
+            if (!root.mw || !root.mw.loader) return Promise.reject(new Error('CodeMirror library not available'));
+            return root.mw.loader.using(CODEMIRROR6_LIB).then(require => require(CODEMIRROR6_LIB));
+        }
+
+        // { setMarks } once the decoration field is installed
+        function getMarks() {
+            if (marks) return marks;
+            marks = getLib().then(({ StateEffect, StateField, Decoration, EditorView }) => {
+                const setMarks = StateEffect.define();
+                const field = StateField.define({
+                    create: () => Decoration.none,
+                    update(decorations, transaction) {
+                        decorations = decorations.map(transaction.changes);
+                        transaction.effects.forEach(effect => {
+                            if (!effect.is(setMarks)) return;
+                            decorations = Decoration.set(effect.value.ranges.map(range =>
+                                Decoration.mark({ class: effect.value.className }).range(range.start, range.end)), true);
+                        });
+                        return decorations;
+                    },
+                    provide: f => EditorView.decorations.from(f)
+                });
+                view.dispatch({ effects: StateEffect.appendConfig.of(field) });
+                return { setMarks };
+            });
+            return marks;
+        }
+
+        function mark(ranges, className) {
+            const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+            getMarks()
+                .then(({ setMarks }) => view.dispatch({ effects: setMarks.of({ ranges: sorted, className }) }))
+                .catch(error => console.warn('WikiLinkHighlighter: cannot mark CodeMirror text', error));
+        }
+
+        return {
+            type: 'codemirror6',
+            element: view.dom,
+            getText: () => view.state.doc.toString(),
+            replace(start, end, text) {
+                view.dispatch({ changes: { from: start, to: end, insert: text }, userEvent: 'input.wlh' });
+            },
+            mark,
+            clearMarks: () => mark([], ''),
+            // An update listener cannot be taken out of the view again, it goes quiet instead
+            onChange(fn) {
+                let active = true;
+                getLib()
+                    .then(({ StateEffect, EditorView }) => view.dispatch({
+                        effects: StateEffect.appendConfig.of(EditorView.updateListener.of(update => {
+                            if (active && update.docChanged) fn();
+                        }))
+                    }))
+                    .catch(error => console.warn('WikiLinkHighlighter: cannot follow CodeMirror changes', error));
+                return () => { active = false; };
+            }
+        };
+    }
+
+    // The editor the user is typing in: CodeMirror 6 (options.view, or the one ext.CodeMirror
+    // announced), CodeMirror 5, then the textarea (options.textarea, default wpTextbox1). Null outside edit mode.
+    function getEditor(options = {}) {
+        const view = options.view || codeMirror6View;
+        if (view && view.dom && view.dom.isConnected !== false) {
+            return editorFor(view, () => createCodeMirror6Editor(view, options));
+        }
+
+        const wrapper = document.querySelector('.CodeMirror');
+        if (wrapper && wrapper.CodeMirror) {
+            return editorFor(wrapper.CodeMirror, () => createCodeMirror5Editor(wrapper.CodeMirror));
+        }
+
+        const textarea = options.textarea || document.getElementById('wpTextbox1');
+        return textarea ? editorFor(textarea, () => createTextareaEditor(textarea)) : null;
+    }
+
+    // Editors are taken as they are, a bare textarea gets wrapped
+    function toEditor(editor) {
+        return editor && typeof editor.getText === 'function' ? editor
+            : editorFor(editor, () => createTextareaEditor(editor));
+    }
+
+    // Replace [start, end) of the editor's text (an editor or a textarea) with a link to target
+    // (the text itself without one). Undoable like typing. Returns { start, end, wikilink }.
+    function insertWikilink(editor, start, end, target) {
+        editor = toEditor(editor);
+        const surface = editor.getText().slice(start, end);
+        const wikilink = buildWikilink(target || surface, surface);
+        editor.replace(start, end, wikilink);
+        return { start, end: start + wikilink.length, wikilink };
+    }
+
+    // Link an occurrence of term in the editor's prose (options.occurrence: which one, default the
+    // first that can be wrapped). Without a target the text is the link target: [[Paris]].
+    // Returns what insertWikilink returns, or null when the term is not in the prose.
+    function linkOccurrence(editor, term, target, options = {}) {
+        editor = toEditor(editor);
+        const matcher = createMatcher(new Map([[term.toLowerCase(), { title: target }]]));
+        const occurrences = findWikitextOccurrences(editor.getText(), matcher).filter(o => o.plain);
+        const occurrence = occurrences[options.occurrence || 0];
+        if (!occurrence) return null;
+        return insertWikilink(editor, occurrence.start, occurrence.end, target);
+    }
+
+    // Blocks of prose separated by blank lines: [{ text, start }] with start an offset into text
+    function splitParagraphs(text) {
+        const paragraphs = [];
+        const blankLine = /\n[ \t\uFFFC]*\n\s*/g; // A line with only a template is blank too
+        let start = 0;
+        let match;
+        while ((match = blankLine.exec(text)) !== null) {
+            if (text.slice(start, match.index).trim()) paragraphs.push({ text: text.slice(start, match.index), start });
+            start = blankLine.lastIndex;
+        }
+        if (text.slice(start).trim()) paragraphs.push({ text: text.slice(start), start });
+        return paragraphs;
+    }
+
+    // Re-analysis while the user types. Debounced (options.delay ms after the last change), and only
+    // paragraphs whose prose changed are analyzed again, all in one options.analyze(texts, { context, wikitext })
+    // call that returns their results in order (findLinkableTermsPerText() does that with one resolve);
+    // the others keep their earlier result. options.onUpdate({ wikitext, source, paragraphs, changed })
+    // gets every paragraph with its result ({ text, start, result }) and the texts analyzed this time.
+    // Updates of an older run are dropped once a newer one has started.
+    // Returns { refresh(), stop() }: refresh() analyzes right away (nothing cached on the first run).
+    function createLiveAnalysis(editor, options) {
+        const delay = options.delay || 1500;
+        let results = new Map(); // paragraph text -> promise of its result
+        let timer = null;
+        let generation = 0;
+
+        async function run() {
+            clearTimeout(timer);
+            timer = null;
+            const current = ++generation;
+            const source = editor.getText();
+            const wikitext = parseWikitext(source);
+            const paragraphs = splitParagraphs(wikitext.text);
+            const changed = [];
+            const next = new Map();
+
+            paragraphs.forEach(paragraph => {
+                if (next.has(paragraph.text)) return;
+                if (results.has(paragraph.text)) {
+                    next.set(paragraph.text, results.get(paragraph.text));
+                } else {
+                    changed.push(paragraph.text);
+                }
+            });
+            if (changed.length) {
+                const batch = Promise.resolve().then(() => options.analyze(changed, { context: wikitext.text, wikitext }));
+                changed.forEach((text, i) => next.set(text, batch.then(analyzed => analyzed[i])));
+            }
+            results = next;
+
+            let settled;
+            try {
+                settled = await Promise.all(paragraphs.map(paragraph => next.get(paragraph.text)));
+            } catch (e) {
+                // A failed paragraph is analyzed again next time
+                changed.forEach(text => results.delete(text));
+                if (!isAbortError(e)) console.error('WikiLinkHighlighter: live analysis failed', e);
+                return;
+            }
+            if (current !== generation) return;
+            options.onUpdate({
+                wikitext,
+                source,
+                paragraphs: paragraphs.map((paragraph, i) => ({ ...paragraph, result: settled[i] })),
+                changed
+            });
+        }
+
+        const unsubscribe = editor.onChange(() => {
+            clearTimeout(timer);
+            timer = setTimeout(run, delay);
+        });
+
+        return {
+            refresh: run,
+            stop() {
+                clearTimeout(timer);
+                generation++;
+                unsubscribe();
+            }
+        };
+    }
+
+    // ==================== VISUALEDITOR ====================
+
+    // Branches of the VE document whose paragraphs are not running text: references live in the
+    // internal list, tables and galleries are skipped like in read mode
+    const VE_SKIP_NODES = new Set(['internalList', 'table', 'mwReferencesList', 'mwTransclusionBlock',
+                                   'mwGallery', 'mwBlockImage']);
+
+    // The open VisualEditor surface (ve.ui.Surface), or null
+    function getVisualEditorSurface(ve = root.ve) {
+        const target = ve && ve.init && ve.init.target;
+        return target && target.getSurface ? target.getSurface() || null : null;
+    }
+
+    // Paragraphs of a VisualEditor document, read from the data model (ve.dm.Surface):
+    // { paragraphs: [{ text, start }], links: [{ target, text, start, end }] }.
+    // text[i] is the item at model offset start + i: inline nodes and linked text become
+    // SEPARATOR, so offsets never drift. links has the same shape as parseWikitext's.
+    function readVisualEditorModel(surfaceModel) {
+        const doc = surfaceModel.getDocument();
+        const store = doc.getStore();
+        const paragraphs = [];
+        const links = [];
+
+        // The store holds ve.dm.Annotation instances: name is their type, attributes come through getAttribute()
+        function linkOf(item) {
+            if (!Array.isArray(item)) return null;
+            for (const hash of item[1] || []) {
+                const annotation = store.value(hash);
+                if (annotation && /^link/.test(annotation.name)) return { hash, annotation };
+            }
+            return null;
+        }
+
+        function readParagraph(range) {
+            let text = '';
+            let current = null;
+            doc.getData(range).forEach((item, i) => {
+                const offset = range.start + i;
+                const link = linkOf(item);
+                if (current && (!link || link.hash !== current.hash)) current = null;
+                if (link) {
+                    if (!current) {
+                        const annotation = link.annotation;
+                        current = { hash: link.hash, record: { target: null, text: '', start: offset, end: offset } };
+                        if (annotation.name === 'link/mwInternal') {
+                            current.record.target = normalizeTitle(annotation.getAttribute('normalizedTitle') || annotation.getAttribute('title') || '');
+                            links.push(current.record);
+                        }
+                    }
+                    current.record.text += item[0];
+                    current.record.end = offset + 1;
+                    text += SEPARATOR;
+                } else if (typeof item === 'string') {
+                    text += item;
+                } else if (Array.isArray(item)) {
+                    text += item[0];
+                } else {
+                    // Opening or closing element of an inline node (reference, template, image)
+                    text += SEPARATOR;
+                }
+            });
+            return { text, start: range.start };
+        }
+
+        (function walk(node) {
+            const type = node.getType();
+            if (VE_SKIP_NODES.has(type)) return;
+            if (type === 'paragraph') {
+                paragraphs.push(readParagraph(node.getRange()));
+                return;
+            }
+            (node.getChildren ? node.getChildren() : []).forEach(walk);
+        })(doc.getDocumentNode());
+
+        return { paragraphs, links };
+    }
+
+    // Occurrences of the matcher's terms with model offsets: [{ start, end, text, key, data }]
+    function findVisualEditorOccurrences(model, matcher) {
+        const occurrences = [];
+        model.paragraphs.forEach(paragraph => {
+            matcher.findAll(paragraph.text).forEach(match => {
+                occurrences.push({
+                    start: paragraph.start + match.start,
+                    end: paragraph.start + match.end,
+                    text: match.text,
+                    key: match.key,
+                    data: match.data
+                });
+            });
+        });
+        return occurrences;
+    }
+
+    // Suggestions on a VisualEditor surface (ve.ui.Surface). show() draws them over the surface
+    // like find-and-replace results: nothing is added to the document, so nothing is saved.
+    // link() turns an occurrence into an internal link annotation, undoable in VE's history.
+    // options.ve: the ve namespace (default window.ve), options.name/wrapperClass: the drawing.
+    function createVisualEditorHighlighter(surface, options = {}) {
+        const ve = options.ve || root.ve;
+        const name = options.name || 'wlhSuggestions';
+        const view = surface.getView();
+        // Older VE versions draw on the surface view itself
+        const drawer = view.getSelectionManager ? view.getSelectionManager() : view;
+
+        function rangeOf(occurrence) {
+            return new ve.Range(occurrence.start, occurrence.end);
+        }
+
+        function show(occurrences) {
+            const selections = occurrences.map(occurrence =>
+                ve.ce.Selection.static.newFromModel(new ve.dm.LinearSelection(rangeOf(occurrence)), view));
+            drawer.drawSelections(name, selections, {
+                wrapperClass: options.wrapperClass || 'wlh-ve-suggestion',
+                showRects: true
+            });
+        }
+
+        function clear() {
+            drawer.drawSelections(name, []);
+        }
+
+        // Without a target the text is the link target
+        function link(occurrence, target) {
+            const title = root.mw.Title.newFromText(target || occurrence.text);
+            if (!title) return null;
+            const annotation = ve.dm.MWInternalLinkAnnotation.static.newFromTitle(title);
+            surface.getModel().getLinearFragment(rangeOf(occurrence)).annotateContent('set', annotation);
+            return annotation;
+        }
+
+        return { show, clear, link };
+    }
+
+    // ==================== LINK POLICY ====================
+
+    const LINK_POLICIES = ['first-in-article', 'first-per-section', 'all'];
+    // Text that is never linked, so occurrences there do not count
+    const POLICY_SKIP = 'a, sup, sub, cite, code, pre, h1, h2, h3, h4, h5, h6, .reference, .infobox, .navbox, .thumb, .reflist';
+    const SECTION_HEADING = 'h2, .mw-heading2';
+
+    function headingName(element) {
+        const heading = element.matches('h2') ? element : element.querySelector('h2') || element;
+        const headline = heading.querySelector('.mw-headline') || heading;
+        return headline.textContent.replace(/\s*\[[^\]]*\]\s*$/, '').trim();
+    }
+
+    // Lowercase article title of a link and its text, as collectLinkedTitles reads them
+    function linkKeys(link) {
+        const href = link.getAttribute('href') || '';
+        if (!href.startsWith('/wiki/') || href.includes(':')) return null;
+        const keys = [link.textContent.trim().toLowerCase()];
+        try {
+            keys.push(decodeURIComponent(href.replace('/wiki/', '').split('#')[0]).replace(/_/g, ' ').toLowerCase());
+        } catch (e) {
+            // Malformed escape sequence in href, the link text still counts
+        }
+        return keys;
+    }
+
+    // MOS:LINKONCE for an article: which occurrences of a term get a link suggestion.
+    // 'first-in-article' suggests the first occurrence, with the lead and the body counted
+    // separately unless options.leadSeparately is false; 'first-per-section' the first in the lead
+    // and in each major (h2) section; 'all' every occurrence. An occurrence that comes after a link
+    // to the same article in its scope is not suggested either.
+    // Only text inside options.selector (e.g. 'p') counts as an occurrence. Positions are offsets
+    // into the root's text, which highlighting does not change, so elements can be highlighted in
+    // any order. decide() returns { suggest, reason }, reason saying why not.
+    function createLinkPolicy(rootElement, options = {}) {
+        const mode = options.mode || DEFAULT_CONFIG.linkPolicy;
+        if (!LINK_POLICIES.includes(mode)) throw new Error(`Unknown link policy: ${mode}`);
+        const skipSelector = options.skipSelector || POLICY_SKIP;
+        const sections = [{ start: 0, name: 'the lead' }];
+        const links = [];
+        const occurrences = new WeakMap(); // matcher -> Map key -> offsets
+        let offsets = new WeakMap(); // text node -> offset
+        let text = '';
+
+        // Text a script added inside a mark (a count badge) is not article text
+        function isAdded(node) {
+            const parent = node.parentElement;
+            return !parent.matches('[data-wlh]') && !!parent.closest('[data-wlh]');
+        }
+
+        const walker = document.createTreeWalker(rootElement, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (isAdded(node)) continue;
+                const parent = node.parentElement;
+                const counts = !parent.closest(skipSelector) && (!options.selector || parent.closest(options.selector));
+                offsets.set(node, text.length);
+                // Same length either way, offsets must match the live text
+                text += counts ? node.data : SEPARATOR.repeat(node.data.length);
+            } else if (node.matches(SECTION_HEADING) && !(node.parentElement && node.parentElement.closest('.mw-heading2'))) {
+                sections.push({ start: text.length, name: `section “${headingName(node)}”` });
+            } else if (node.matches('a[href]')) {
+                const keys = linkKeys(node);
+                if (keys) links.push({ keys, offset: text.length });
+            }
+        }
+
+        const scopes = [];
+        if (mode === 'first-per-section') {
+            sections.forEach((section, i) => {
+                scopes.push({ ...section, end: i + 1 < sections.length ? sections[i + 1].start : text.length });
+            });
+        } else if (options.leadSeparately !== false && sections.length > 1) {
+            scopes.push({ start: 0, end: sections[1].start, name: 'the lead' });
+            scopes.push({ start: sections[1].start, end: text.length, name: 'the article body' });
+        } else {
+            scopes.push({ start: 0, end: text.length, name: 'the article' });
+        }
+
+        // Highlighting splits text nodes, recount once a node is new
+        function offsetOf(node) {
+            if (!offsets.has(node)) {
+                offsets = new WeakMap();
+                let offset = 0;
+                const textWalker = document.createTreeWalker(rootElement, NodeFilter.SHOW_TEXT);
+                while (textWalker.nextNode()) {
+                    if (isAdded(textWalker.currentNode)) continue;
+                    offsets.set(textWalker.currentNode, offset);
+                    offset += textWalker.currentNode.data.length;
+                }
+            }
+            return offsets.get(node);
+        }
+
+        function occurrencesOf(matcher, key) {
+            if (!occurrences.has(matcher)) {
+                const byKey = new Map();
+                matcher.findAll(text).forEach(m => {
+                    if (!byKey.has(m.key)) byKey.set(m.key, []);
+                    byKey.get(m.key).push(m.start);
+                });
+                occurrences.set(matcher, byKey);
+            }
+            return occurrences.get(matcher).get(key) || [];
+        }
+
+        // match from matcher.findAll(), starting at index in the text node
+        function decide(match, node, index, matcher) {
+            if (mode === 'all') return { suggest: true, reason: null };
+            const offset = (offsetOf(node) || 0) + index;
+            const scope = scopes.find(s => offset >= s.start && offset < s.end) || scopes[scopes.length - 1];
+
+            const names = [match.data.title, match.data.redirectFrom, match.surface || match.text]
+                .filter(Boolean).map(name => name.toLowerCase());
+            if (links.some(link => link.offset >= scope.start && link.offset < offset && link.keys.some(key => names.includes(key)))) {
+                return { suggest: false, reason: `Already linked earlier in ${scope.name}` };
+            }
+            if (occurrencesOf(matcher, match.key).some(start => start >= scope.start && start < offset)) {
+                return { suggest: false, reason: `Only the first occurrence in ${scope.name} is suggested (MOS:LINKONCE)` };
+            }
+            return { suggest: true, reason: null };
+        }
+
+        return { mode, decide, sections: () => sections.slice() };
+    }
+
+    // ==================== HIGHLIGHTING ====================
+
+    function collectTextNodes(rootElement, options = {}) {
+        const skipSelector = options.skipSelector || DEFAULT_CONFIG.skipSelector;
+        const walker = document.createTreeWalker(rootElement, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => {
+                if (!node.parentElement) return NodeFilter.FILTER_REJECT;
+                if (!node.textContent.trim()) return NodeFilter.FILTER_REJECT;
+                if (node.parentElement.closest(skipSelector)) return NodeFilter.FILTER_REJECT;
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        const nodes = [];
+        let node;
+        while ((node = walker.nextNode())) {
+            nodes.push(node);
+        }
+        return nodes;
+    }
+
+    // Find non-overlapping occurrences of terms (Map lower surface -> term data) in text
+    function findMatches(text, terms) {
+        return createMatcher(terms).findAll(text);
+    }
+
+    // One span per match, or per piece of a match that crosses inline markup (match.text is the
+    // piece then, match.surface the whole term)
+    function createMark(match, options) {
+        const mark = document.createElement('span');
+        const surface = match.surface || match.text;
+        const target = match.data.title || surface;
+        const className = options.highlightClass || DEFAULT_CONFIG.highlightClass;
+        mark.className = className;
+        mark.setAttribute('data-wlh', '');
+        mark.dataset.term = target;
+        mark.dataset.surface = surface;
+
+        if (match.policy && !match.policy.suggest) {
+            // Shown so the term can be found, but the link policy wants no link here
+            mark.classList.add(`${className}--repeat`);
+            mark.dataset.repeat = 'true';
+            mark.title = `${match.policy.reason}, no link needed for “${surface}” here.`;
+            mark.textContent = match.text;
+            return mark;
+        }
+
+        if (match.data.editions && match.data.editions.length) {
+            // No article on this wiki, but other language editions have one
+            mark.classList.add(`${className}--interlanguage`);
+            mark.dataset.editions = match.data.editions.map(edition => edition.lang).join(' ');
+            mark.title = `No article for “${surface}” here yet. Other language editions have one: ` +
+                match.data.editions.map(edition => `${edition.lang}: ${edition.title}`).join(', ');
+            mark.textContent = match.text;
+            return mark;
+        }
+
+        if (match.data.redLink) {
+            // Only other language editions have the article, a link here would be red
+            const available = Array.from(match.data.sitelinks, ([lang, title]) => `${lang}: ${title}`).join(', ');
+            mark.classList.add(`${className}--redlink`);
+            mark.dataset.item = match.data.item;
+            mark.title = `No article for “${surface}” here, a link would be red. Available in ${available} (${match.data.item})`;
+            mark.textContent = match.text;
+            return mark;
+        }
+
+        if (match.data.disambiguation) {
+            // Linking a disambiguation page is what editors must avoid, point at the specific articles instead
+            const candidates = (match.data.options || []).slice(0, options.maxDisambiguationOptions || DEFAULT_CONFIG.maxDisambiguationOptions);
+            mark.classList.add(`${className}--ambiguous`);
+            mark.dataset.disambiguation = 'true';
+            mark.title = `“${target}” is a disambiguation page. Link the specific article instead` +
+                (candidates.length ? `: ${candidates.join(', ')}` : '.');
+            mark.textContent = match.text;
+            return mark;
+        }
+
+        if (match.data.expansion) {
+            mark.title = `“${surface}” stands for “${match.data.expansion}” in this article. Consider linking ${buildWikilink(target, surface)}`;
+        } else {
+            mark.title = match.data.redirectFrom
+                ? `“${match.data.redirectFrom}” redirects to “${target}”. Consider linking ${buildWikilink(target, surface)}`
+                : `An article for “${target}” exists. Consider linking ${buildWikilink(target, surface)}`;
+        }
+        if (match.data.missingIn && match.data.missingIn.length) {
+            mark.title += `. Missing in: ${match.data.missingIn.join(', ')}`;
+        }
+        mark.textContent = match.text;
+        return mark;
+    }
+
+    // Every replaced text node is kept so unwrapping can put the very same node back.
+    // mark -> { id, original, nodes }, ids grow so nested passes unwrap newest first.
+    const highlightRecords = new WeakMap();
+    let nextRecordId = 1;
+    // A highlight crossing inline markup is one mark per text node, all sharing data-wlh-id
+    let nextHighlightId = 1;
+
+    // Split one text node around the given matches, built from Text and Element nodes only
+    // (article text is never re-parsed as HTML). Returns the inserted marks.
+    function wrapMatches(textNode, matches, options = {}) {
+        const makeMark = options.createMark || createMark;
+        const text = textNode.data;
+        const fragment = document.createDocumentFragment();
+        const marks = [];
+        let lastIndex = 0;
+
+        matches.forEach(m => {
+            if (m.start > lastIndex) {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, m.start)));
+            }
+            const mark = makeMark(m, options);
+            if (m.part) {
+                mark.dataset.wlhId = m.part.id;
+                mark.dataset.wlhPart = `${m.part.index + 1}/${m.part.count}`;
+                mark.dataset.surface = m.surface;
+            }
+            marks.push(mark);
+            fragment.appendChild(mark);
+            lastIndex = m.end;
+        });
+        if (lastIndex < text.length) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        }
+
+        const record = { id: nextRecordId++, original: textNode, nodes: Array.from(fragment.childNodes), marks };
+        marks.forEach(mark => highlightRecords.set(mark, record));
+        if (options.records) options.records.push(record);
+        textNode.replaceWith(fragment);
+        return marks;
+    }
+
+    // Highlight terms inside one text node. Returns the inserted marks.
+    function highlightTextNode(textNode, terms, options = {}) {
+        const matcher = terms.findAll ? terms : createMatcher(terms);
+        const seen = options.seen || new Set();
+        let matches = matcher.findAll(textNode.data);
+        if (options.firstOnly) {
+            matches = matches.filter(m => !seen.has(m.key) && seen.add(m.key));
+        }
+        if (options.limit !== undefined) {
+            matches = matches.slice(0, Math.max(0, options.limit));
+        }
+        if (!matches.length) return [];
+        return wrapMatches(textNode, matches, options);
+    }
+
+    // Highlight terms inside an element. Returns the number of highlights inserted.
+    // terms is a Map or, preferably, a matcher from createMatcher() reused across elements.
+    // Matching runs on the element's text model, so "United <i>Nations</i>" is found; such a
+    // highlight is one mark per text node (match.part = { id, index, count } for createMark)
+    // and still counts once.
+    // With options.policy (createLinkPolicy) every match carries policy = { suggest, reason }.
+    function highlightElement(element, terms, options = {}) {
+        const matcher = terms.findAll ? terms : createMatcher(terms);
+        if (!matcher.terms.size) return 0;
+        const seen = options.seen || new Set();
+        const model = createTextModel(element, options);
+
+        let matches = matcher.findAll(model.text);
+        if (options.firstOnly) {
+            matches = matches.filter(m => !seen.has(m.key) && seen.add(m.key));
+        }
+        if (options.limit !== undefined) {
+            matches = matches.slice(0, Math.max(0, options.limit));
+        }
+
+        // Text node -> the pieces of matches inside it, in text order
+        const pieces = new Map();
+        matches.forEach(m => {
+            const slices = model.slices(m.start, m.end);
+            if (options.policy) m.policy = options.policy.decide(m, slices[0].node, slices[0].start, matcher);
+            const id = slices.length > 1 ? String(nextHighlightId++) : null;
+            slices.forEach((slice, index) => {
+                if (!pieces.has(slice.node)) pieces.set(slice.node, []);
+                pieces.get(slice.node).push({
+                    ...m,
+                    start: slice.start,
+                    end: slice.end,
+                    text: slice.node.data.slice(slice.start, slice.end),
+                    surface: m.text,
+                    part: id ? { id, index, count: slices.length } : null
+                });
+            });
+        });
+
+        pieces.forEach((nodeMatches, textNode) => wrapMatches(textNode, nodeMatches, options));
+        return matches.length;
+    }
+
+    // Every mark of the logical highlight a mark belongs to
+    function getHighlightParts(mark) {
+        const id = mark.dataset.wlhId;
+        if (!id) return [mark];
+        return Array.from(mark.ownerDocument.querySelectorAll(`[data-wlh-id="${id}"]`));
+    }
+
+    // Undo highlighting below rootElement, restoring the original text nodes
+    function unwrapHighlights(rootElement) {
+        const records = new Set();
+        rootElement.querySelectorAll('[data-wlh]').forEach(mark => {
+            const record = highlightRecords.get(mark);
+            if (record) {
+                records.add(record);
+            } else {
+                // Not inserted by this copy of the core: best effort, keep the surface text
+                mark.replaceWith(document.createTextNode(mark.dataset.surface || mark.textContent));
+            }
+        });
+
+        Array.from(records).sort((a, b) => b.id - a.id).forEach(restoreRecord);
+    }
+
+    function restoreRecord(record) {
+        const anchor = record.nodes.find(node => node.parentNode);
+        if (!anchor) return;
+        anchor.parentNode.insertBefore(record.original, anchor);
+        record.nodes.forEach(node => node.remove());
+    }
+
+    // ==================== HIGHLIGHT LAYER ====================
+
+    // A set of highlights that can be switched off and on again without reloading.
+    // The layer remembers every text node it replaced; remove() puts those exact nodes back,
+    // so with the layer off the article DOM is what it was before the first apply.
+    function createHighlightLayer(defaults = {}) {
+        let records = [];
+        let applied = [];
+
+        // Highlight inside an element and remember it for reapply()
+        function highlight(element, terms, options = {}) {
+            const matcher = terms.findAll ? terms : createMatcher(terms);
+            applied.push({ element, matcher, options });
+            return highlightElement(element, matcher, { ...defaults, ...options, records });
+        }
+
+        function remove() {
+            records.slice().sort((a, b) => b.id - a.id).forEach(restoreRecord);
+            records = [];
+        }
+
+        // Re-run every highlight() call since the last clear(), e.g. after remove()
+        function reapply() {
+            remove();
+            const previous = applied;
+            applied = [];
+            // firstOnly bookkeeping starts over, the first occurrences are unhighlighted again
+            previous.forEach(call => call.options.seen && call.options.seen.clear());
+            return previous.reduce((count, call) => count + highlight(call.element, call.matcher, call.options), 0);
+        }
+
+        // Remove highlights and forget what was applied
+        function clear() {
+            remove();
+            applied = [];
+        }
+
+        return {
+            highlight,
+            remove,
+            reapply,
+            clear,
+            isActive: () => records.length > 0,
+            marks: () => records.reduce((all, record) => all.concat(record.marks), []),
+            // Logical highlights, a multi-part one counts once
+            size: () => new Set(records.reduce((all, record) => all.concat(record.marks), [])
+                .map(mark => mark.dataset.wlhId || mark)).size
+        };
+    }
+
+    // ==================== ANALYSIS ====================
+
+    // Extract candidates from texts, resolve them and return linkable terms:
+    // Map lower surface -> { surface, title, redirectFrom, disambiguation, options, count, relatedness,
+    // sentenceInitial, expansion, linked } where title is the link target and surface the text as written in the article.
+    // sentenceInitial marks words only ever seen capitalized at the start of a sentence, expansion
+    // is set on acronyms the text defines ("NATO" -> "North Atlantic Treaty Organization").
+    // Disambiguation hits carry the articles listed on the disambiguation page in options.
+    // Terms the article already links to (options.linked, or the titles options.neighbourhood links to)
+    // are skipped; options.keepLinked keeps them with linked: true, for a link policy deciding per
+    // occurrence. They are no suggestions of their own: lists leave them out.
+    // Relatedness is scored against options.neighbourhood (0 without one).
+    // Candidates go through options.exclusions, by default the wiki's and user's from loadExclusions().
+    async function findLinkableTerms(texts, options = {}) {
+        const [terms] = await findLinkableTermsPerText([texts.join('\n')], options);
+        return terms;
+    }
+
+    // findLinkableTerms() for each text on its own (say, the paragraphs that changed), with one
+    // resolve and one disambiguation lookup for all of them. Returns the term maps in text order.
+    async function findLinkableTermsPerText(texts, options = {}) {
+        const resolver = options.resolver || createTitleResolver(options);
+        const linked = options.linked || new Set();
+        const neighbourhood = options.neighbourhood || createNeighbourhood('');
+        const isLinked = title => !!title && (linked.has(title.toLowerCase()) || neighbourhood.isLinked(title));
+        const exclusions = options.exclusions || await loadExclusions(options);
+
+        const analyses = texts.map(text => {
+            const candidates = extractCandidates(text, { ...options, exclusions })
+                .filter(word => options.keepLinked || !isLinked(word));
+            return {
+                candidates,
+                counts: countOccurrences(text, candidates),
+                initialWords: findSentenceInitialWords(text, options),
+                acronyms: findAcronymDefinitions(text, options)
+            };
+        });
+        const acronyms = new Map();
+        analyses.forEach(analysis => analysis.acronyms.forEach((expansion, acronym) => acronyms.set(acronym, expansion)));
+        const resolved = await resolver.resolve(Array.from(new Set(analyses.flatMap(a => a.candidates))), { acronyms });
+
+        const results = analyses.map(({ candidates, counts, initialWords }) => {
+            const terms = new Map();
+            candidates.forEach(surface => {
+                const record = resolved.get(surface);
+                if (!record || !record.exists) return;
+                const alreadyLinked = isLinked(surface) || isLinked(record.title) || isLinked(record.redirectFrom);
+                if (alreadyLinked && !options.keepLinked) return;
+                const lower = surface.toLowerCase();
+                terms.set(lower, {
+                    surface,
+                    // Section redirects are better linked as-is than to the top of the target page
+                    title: record.fragment ? record.redirectFrom : record.title,
+                    redirectFrom: record.redirectFrom,
+                    disambiguation: !!record.disambiguation,
+                    options: [],
+                    count: counts.get(lower) || 1,
+                    relatedness: neighbourhood.relatedness(record.title),
+                    sentenceInitial: initialWords.has(lower),
+                    expansion: record.expansion || null,
+                    linked: alreadyLinked
+                });
+            });
+            return terms;
+        });
+
+        const ambiguous = results.flatMap(terms => Array.from(terms.values())).filter(term => term.disambiguation);
+        if (ambiguous.length) {
+            const targets = await fetchDisambiguationTargets(
+                Array.from(new Set(ambiguous.map(term => term.title))),
+                { apiUrl: resolver.apiUrl, scheduler: resolver.scheduler }
+            );
+            ambiguous.forEach(term => {
+                term.options = targets.get(term.title) || [];
+            });
+        }
+        return results;
+    }
+
+    // One term map out of findLinkableTerms() results for parts of an article (say, paragraphs):
+    // counts add up, a term is sentence-initial only if it is everywhere and linked if it is anywhere
+    function mergeLinkableTerms(maps) {
+        const merged = new Map();
+        maps.forEach(terms => terms.forEach((term, lower) => {
+            const known = merged.get(lower);
+            if (!known) {
+                merged.set(lower, { ...term });
+                return;
+            }
+            known.count += term.count;
+            known.sentenceInitial = known.sentenceInitial && term.sentenceInitial;
+            known.linked = known.linked || term.linked;
+        }));
+        return merged;
+    }
+
+    // Terms with no article on this wiki that exist in other language editions:
+    // Map lower surface -> { surface, title: null, editions: [{ lang, title }], count }.
+    // Each language in options.languages is checked with the surface as written. Pass the
+    // resolver of the local pass (findLinkableTerms) as options.resolver: this wiki is then not
+    // asked again, only the terms it has no article for go to the other editions.
+    async function findInterlanguageTerms(texts, options = {}) {
+        const resolver = options.resolver || createTitleResolver(options);
+        const local = options.lang ? getWikiLanguage(options.lang) : getContentLanguage();
+        const languages = (options.languages || []).map(getWikiLanguage).filter(lang => lang !== local);
+        const linked = options.linked || new Set();
+        const allText = texts.join('\n');
+        const terms = new Map();
+        if (!languages.length) return terms;
+
+        const exclusions = options.exclusions || await loadExclusions(options);
+        const candidates = extractCandidates(allText, { ...options, exclusions })
+            .filter(word => !linked.has(word.toLowerCase()));
+        const resolved = await resolver.resolve(candidates);
+        const missing = candidates.filter(word => resolved.has(word) && !resolved.get(word).exists);
+        if (!missing.length) return terms;
+
+        const counts = countOccurrences(allText, missing);
+        for (const lang of languages) {
+            const found = await createTitleResolver({ lang, scheduler: resolver.scheduler }).resolve(missing);
+            found.forEach((record, surface) => {
+                if (!record.exists || record.disambiguation) return;
+                const lower = surface.toLowerCase();
+                if (!terms.has(lower)) {
+                    terms.set(lower, { surface, title: null, editions: [], count: counts.get(lower) || 1 });
+                }
+                terms.get(lower).editions.push({ lang, title: record.title });
+            });
+        }
+        return terms;
+    }
+
+    // Cross-language gaps among the unlinked terms of a text, through Wikidata sitelinks:
+    // Map lower surface -> { surface, title, item, sitelinks, missingIn, redLink, count }.
+    // title is the local article (found by name or through the item's sitelink, null if none),
+    // sitelinks maps each language of options.languages plus this wiki's to its article title,
+    // missingIn lists the languages without one and redLink marks terms that would be red here.
+    // Terms with an article in every language are not gaps and left out.
+    async function findLanguageGaps(texts, options = {}) {
+        const resolver = options.resolver || createTitleResolver(options);
+        const local = options.lang ? getWikiLanguage(options.lang) : getContentLanguage();
+        const others = (options.languages || []).map(getWikiLanguage).filter(lang => lang !== local);
+        const languages = [local].concat(Array.from(new Set(others)));
+        const linked = options.linked || new Set();
+        const allText = texts.join('\n');
+        const gaps = new Map();
+        if (!others.length) return gaps;
+
+        const exclusions = options.exclusions || await loadExclusions(options);
+        const candidates = extractCandidates(allText, { ...options, exclusions })
+            .filter(word => !linked.has(word.toLowerCase()));
+        const resolved = await resolver.resolve(candidates);
+        const existing = candidates.filter(word => resolved.has(word) && resolved.get(word).exists);
+        let unresolved = candidates.filter(word => resolved.has(word) && !resolved.get(word).exists);
+
+        // Local articles give their item here, missing terms from the first other edition that has them
+        const items = await fetchWikidataItems(existing, { apiUrl: resolver.apiUrl, scheduler: resolver.scheduler });
+        for (const lang of others) {
+            if (!unresolved.length) break;
+            const found = await fetchWikidataItems(unresolved, { lang, scheduler: resolver.scheduler });
+            found.forEach((item, surface) => items.set(surface, item));
+            unresolved = unresolved.filter(word => !found.has(word));
+        }
+        if (!items.size) return gaps;
+
+        const sitelinks = await fetchSitelinks(Array.from(items.values()), languages, { scheduler: resolver.scheduler });
+        const counts = countOccurrences(allText, Array.from(items.keys()));
+        items.forEach((item, surface) => {
+            const links = sitelinks.get(item) || new Map();
+            const record = resolved.get(surface);
+            const title = record.exists ? record.title : links.get(local) || null;
+            const missingIn = languages.filter(lang => !links.has(lang) && !(lang === local && title));
+            if (record.exists && !missingIn.length) return;
+
+            const lower = surface.toLowerCase();
+            gaps.set(lower, {
+                surface,
+                title,
+                item,
+                sitelinks: links,
+                missingIn,
+                redLink: !title,
+                count: counts.get(lower) || 1
+            });
+        });
+        return gaps;
+    }
+
+    // ==================== PUBLIC API ====================
+
+    Object.assign(WLH, {
+        DEFAULT_CONFIG,
+        createConfig,
+        escapeRegExp,
+        sleep,
+        normalizeTitle,
+        getArticleTitle,
+        getApiUrl,
+        buildWikilink,
+        parseExclusionList,
+        formatExclusionList,
+        createExclusionList,
+        loadUserExclusions,
+        saveUserExclusions,
+        loadExclusions,
+        createExcluder,
+        scriptOf,
+        tokenizeWords,
+        findSentenceStarts,
+        findSentenceInitialWords,
+        findAcronymDefinitions,
+        extractCandidates,
+        registerNormalizer,
+        createNormalizer,
+        createTextModel,
+        parseWikitext,
+        collectWikitextLinks,
+        findWikitextOccurrences,
+        locateHighlightInWikitext,
+        getEditor,
+        insertWikilink,
+        linkOccurrence,
+        createLiveAnalysis,
+        getVisualEditorSurface,
+        readVisualEditorModel,
+        findVisualEditorOccurrences,
+        createVisualEditorHighlighter,
+        createLinkPolicy,
+        countOccurrences,
+        createStorage,
+        createTitleCache,
+        isAbortError,
+        createRequestScheduler,
+        getScheduler,
+        queryTitles,
+        createTitleResolver,
+        collectLinkedTitles,
+        createNeighbourhood,
+        fetchArticleNeighbourhood,
+        fetchArticleLinks,
+        fetchDisambiguationTargets,
+        getContentLanguage,
+        getWikiLanguage,
+        parseBabel,
+        getUserLanguages,
+        getSiteId,
+        fetchWikidataItems,
+        fetchSitelinks,
+        collectTextNodes,
+        createMatcher,
+        findMatches,
+        createMark,
+        wrapMatches,
+        highlightTextNode,
+        highlightElement,
+        getHighlightParts,
+        unwrapHighlights,
+        createHighlightLayer,
+        findLinkableTerms,
+        findLinkableTermsPerText,
+        mergeLinkableTerms,
+        findInterlanguageTerms,
+        findLanguageGaps
+    });
+})(typeof window !== 'undefined' ? window : globalThis);